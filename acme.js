@@ -0,0 +1,111 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const acme = require("acme-client");
+const config = require("./config");
+
+/*
+  ACME (Let's Encrypt compatible) issuance with the HTTP-01 challenge.
+  The key authorizations are answered by the port 80 redirect server in server.js
+  (/.well-known/acme-challenge/<token>), so that port has to be reachable from the CA.
+
+  Testing against Pebble: set certs.acme.directoryUrl to https://localhost:14000/dir,
+  certs.acme.caBundle to Pebble's test/certs/pebble.minica.pem, and Pebble's "httpPort"
+  to server.httpPort.
+*/
+
+const ACCOUNT_KEY_PATH = path.join(__dirname, "cert", "acme-account-key.pem");
+const CHALLENGE_PREFIX = "/.well-known/acme-challenge/";
+
+const challenges = new Map(); // token -> key authorization
+
+// key authorization for a pending HTTP-01 challenge, or null
+function challengeResponse(urlPath) {
+  if (!urlPath.startsWith(CHALLENGE_PREFIX)) return null;
+  return challenges.get(urlPath.slice(CHALLENGE_PREFIX.length)) || null;
+}
+
+async function loadOrCreateAccountKey() {
+  try {
+    return fs.readFileSync(ACCOUNT_KEY_PATH);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const key = await acme.crypto.createPrivateKey();
+  fs.mkdirSync(path.dirname(ACCOUNT_KEY_PATH), { recursive: true });
+  fs.writeFileSync(ACCOUNT_KEY_PATH, key, { mode: 0o600 });
+  return key;
+}
+
+// the directory is fetched over HTTPS, Pebble's is signed by its own test CA
+function configureHttp() {
+  const caBundle = config.get("certs.acme.caBundle");
+  acme.axios.defaults.httpsAgent = caBundle
+    ? new https.Agent({ ca: fs.readFileSync(path.resolve(__dirname, caBundle)) })
+    : undefined;
+  // acme-client checks the challenge itself before asking the CA to
+  acme.axios.defaults.acmeSettings.httpChallengePort = config.get("server.httpPort");
+}
+
+// settings problems that make issuing pointless, null when good to go
+function checkSettings() {
+  if (!config.get("certs.acme.domains").length) return "certs.mode is \"acme\" but certs.acme.domains is empty";
+  if (!config.get("certs.acme.agreeTerms")) return "certs.mode is \"acme\" but certs.acme.agreeTerms is not true (the CA's terms of service must be accepted)";
+  return null;
+}
+
+// order a certificate for certs.acme.domains, resolves with PEM { key, cert } (cert includes the chain)
+async function issueCertificate() {
+  const problem = checkSettings();
+  if (problem) throw new Error(problem);
+
+  configureHttp();
+  const domains = config.get("certs.acme.domains");
+  const directoryUrl = config.get("certs.acme.directoryUrl");
+  const client = new acme.Client({
+    directoryUrl,
+    accountKey: await loadOrCreateAccountKey(),
+  });
+
+  const [key, csr] = await acme.crypto.createCsr({ commonName: domains[0], altNames: domains });
+
+  console.log(`Requesting ACME certificate for ${domains.join(", ")} from ${directoryUrl}`);
+  const cert = await client.auto({
+    csr,
+    email: config.get("certs.acme.email") || undefined,
+    termsOfServiceAgreed: true,
+    challengePriority: ["http-01"],
+    challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+      challenges.set(challenge.token, keyAuthorization);
+    },
+    challengeRemoveFn: async (authz, challenge) => {
+      challenges.delete(challenge.token);
+    },
+  }).catch(e => {
+    throw new Error(`ACME order at ${directoryUrl} failed: ${e.message}`);
+  });
+
+  return { key: key.toString(), cert: cert.toString() };
+}
+
+module.exports = {
+  challengeResponse,
+  checkSettings,
+  issueCertificate,
+};
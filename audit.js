@@ -0,0 +1,93 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { createRotatingFile } = require("./logger");
+
+/*
+  Audit log: one JSON object per line in audit.file, rotated by size like the server log.
+
+    {"ts":"2026-10-19T09:12:03.120Z","event":"passcode_used","room":"default","ip":"192.168.1.20"}
+
+  Every presentation ends with a "session" event (room, presenter IP, user agent, start, end,
+  duration and why it ended). Events are read back from the rotated files too, oldest first.
+*/
+
+let log = null;
+
+function filePath() {
+  return path.resolve(__dirname, config.get("audit.file"));
+}
+
+function record(event, fields) {
+  if (!config.get("audit.enabled")) return;
+  try {
+    if (!log) log = createRotatingFile({ file: filePath(), maxBytes: config.get("audit.maxBytes"), maxFiles: config.get("audit.maxFiles") });
+    log.write(JSON.stringify({ ts: new Date().toISOString(), event, ...fields }) + "\n");
+  } catch (e) {
+    // the audit log must never take the server down
+  }
+}
+
+// audit.jsonl.<maxFiles> ... audit.jsonl.1, audit.jsonl
+function files() {
+  const file = filePath();
+  const out = [];
+  for (let i = config.get("audit.maxFiles"); i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) out.push(`${file}.${i}`);
+  }
+  if (fs.existsSync(file)) out.push(file);
+  return out;
+}
+
+// filter: { event, room, since (ms timestamp), limit }, the last `limit` matches, oldest first.
+// Reads from the newest file backwards and stops once it has enough
+function readEvents(filter) {
+  const { event, room, since, limit } = filter || {};
+  const out = [];
+  const list = files().reverse();
+  for (const file of list) {
+    let text;
+    try { text = fs.readFileSync(file, "utf8"); } catch (e) { continue; }
+    const lines = text.split("\n");
+    for (let i = lines.length - 1; i >= 0; i--) {
+      // cheap skip before parsing, records are written by JSON.stringify
+      if (!lines[i] || (event && !lines[i].includes(`"event":"${event}"`))) continue;
+      let entry;
+      try { entry = JSON.parse(lines[i]); } catch (e) { continue; }
+      if (event && entry.event !== event) continue;
+      if (room && entry.room !== room) continue;
+      if (since && Date.parse(entry.ts) < since) return out.reverse();
+      out.push(entry);
+      if (limit && out.length >= limit) return out.reverse();
+    }
+  }
+  return out.reverse();
+}
+
+// finished presentations, newest first
+function sessions(filter) {
+  return readEvents({ ...filter, event: "session" }).reverse();
+}
+
+module.exports = {
+  filePath,
+  record,
+  readEvents,
+  sessions,
+};
@@ -0,0 +1,126 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const config = require("./config");
+
+/*
+  Brute-force protection for passcode sign-ins (presenters and viewers). Attempts are limited
+  per IP (auth.perIpPerMinute) and for the whole server (auth.globalPerMinute) over a sliding
+  minute. Each failure from an IP doubles the wait before its next attempt (auth.backoffBaseMs,
+  then 2x, 4x, ...), and auth.maxFailures in a row lock it out for auth.lockoutMs.
+  A successful sign-in clears the IP's failures.
+*/
+
+const WINDOW_MS = 60 * 1000;
+
+const ips = new Map(); // ip -> { attempts: [ms], failures, nextAttemptAt, lockedUntil }
+let globalAttempts = [];
+let lastSweep = Date.now();
+
+function recent(list, now) {
+  return list.filter(t => now - t < WINDOW_MS);
+}
+
+function entry(ip) {
+  let r = ips.get(ip);
+  if (!r) {
+    r = { attempts: [], failures: 0, nextAttemptAt: 0, lockedUntil: 0 };
+    ips.set(ip, r);
+  }
+  return r;
+}
+
+// forget IPs with nothing left to remember
+function sweep(now) {
+  lastSweep = now;
+  ips.forEach((r, ip) => {
+    r.attempts = recent(r.attempts, now);
+    if (!r.attempts.length && !r.failures && r.lockedUntil <= now) ips.delete(ip);
+  });
+}
+
+// null if the IP may try now, otherwise { reason: "locked_out" | "rate_limited", retryAfterMs }
+function check(ip) {
+  const now = Date.now();
+  if (now - lastSweep > WINDOW_MS) sweep(now);
+  globalAttempts = recent(globalAttempts, now);
+  const r = ips.get(ip);
+  if (r) {
+    if (r.lockedUntil > now) return { reason: "locked_out", retryAfterMs: r.lockedUntil - now };
+    if (r.nextAttemptAt > now) return { reason: "rate_limited", retryAfterMs: r.nextAttemptAt - now };
+    r.attempts = recent(r.attempts, now);
+    if (r.attempts.length >= config.get("auth.perIpPerMinute")) {
+      return { reason: "rate_limited", retryAfterMs: r.attempts[0] + WINDOW_MS - now };
+    }
+  }
+  if (globalAttempts.length >= config.get("auth.globalPerMinute")) {
+    return { reason: "rate_limited", retryAfterMs: globalAttempts[0] + WINDOW_MS - now };
+  }
+  return null;
+}
+
+function attempt(ip) {
+  const now = Date.now();
+  entry(ip).attempts.push(now);
+  globalAttempts.push(now);
+}
+
+// returns { failures, locked, retryAfterMs } after counting the failure
+function fail(ip) {
+  const now = Date.now();
+  const r = entry(ip);
+  r.failures++;
+  if (r.failures >= config.get("auth.maxFailures")) {
+    const failures = r.failures;
+    r.failures = 0;
+    r.nextAttemptAt = 0;
+    r.lockedUntil = now + config.get("auth.lockoutMs");
+    return { failures, locked: true, retryAfterMs: r.lockedUntil - now };
+  }
+  const wait = config.get("auth.backoffBaseMs") * Math.pow(2, r.failures - 1);
+  r.nextAttemptAt = now + wait;
+  return { failures: r.failures, locked: false, retryAfterMs: wait };
+}
+
+function succeed(ip) {
+  const r = ips.get(ip);
+  if (!r) return;
+  r.failures = 0;
+  r.nextAttemptAt = 0;
+}
+
+function lockouts() {
+  const now = Date.now();
+  return Array.from(ips.entries())
+    .filter(([, r]) => r.lockedUntil > now)
+    .map(([ip, r]) => ({ ip, lockedUntil: r.lockedUntil }));
+}
+
+function unlock(ip) {
+  const r = ips.get(ip);
+  if (!r || r.lockedUntil <= Date.now()) return false;
+  ips.delete(ip);
+  return true;
+}
+
+module.exports = {
+  check,
+  attempt,
+  fail,
+  succeed,
+  lockouts,
+  unlock,
+};
@@ -17,25 +17,56 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const net = require("net");
+const crypto = require("crypto");
 const selfsigned = require("selfsigned");
+const forge = require("node-forge");
+const config = require("./config");
+const acme = require("./acme");
+const { getLocalAddresses, mdnsName } = require("./network");
+
+/*
+  The one place TLS certificates come from. certs.mode picks the source:
+    self-signed  a fresh self-signed leaf on every rotation (default)
+    local-ca     a local root CA is created once, leaf certs are issued from it;
+                 devices trust the root (/ca.crt) once and survive rotations
+    import       certs.importCert / certs.importKey (+ certs.importChain) from your own CA,
+                 re-read on every rotation so renewed files are picked up
+    acme         ordered from an ACME CA (Let's Encrypt, ...) for certs.acme.domains, see acme.js.
+                 Renewed certs.acme.renewDays before expiry instead of on the rotation day
+*/
 
 const CERT_DIR = path.join(__dirname, "cert");
 const KEY_PATH = path.join(CERT_DIR, "key.pem");
 const CERT_PATH = path.join(CERT_DIR, "cert.pem");
 const META_PATH = path.join(CERT_DIR, "meta.json");
+const CA_KEY_PATH = path.join(CERT_DIR, "ca-key.pem");
+const CA_CERT_PATH = path.join(CERT_DIR, "ca.pem");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACME_CHECK_MS = 12 * 60 * 60 * 1000;
+const ACME_RETRY_MS = 60 * 60 * 1000;
+const CA_MIN_REMAINING_MS = 30 * DAY_MS;
+// setTimeout can't wait longer than this (~24.8 days), longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
 
-// validity in days for ~6 months (give or take)
-const VALIDITY_DAYS = 180;
+const servers = new Set();
+const rotateListeners = [];
+let rotationTimer = null;
+let rotating = null; // in-flight rotate() promise, ACME orders take a while
+let acmePending = false; // serving a stand-in cert until the first ACME order completes
+let watchTimer = null;
+let pendingNames = null; // changed address set seen once, re-issued if it is still there next poll
 
 function ensureCertDir() {
   if (!fs.existsSync(CERT_DIR)) fs.mkdirSync(CERT_DIR, { recursive: true });
 }
 
-function writeFiles({ key, cert, expiresAt }) {
+function writeFiles({ key, cert, expiresAt, mode }) {
   ensureCertDir();
   fs.writeFileSync(KEY_PATH, key, { mode: 0o600 });
   fs.writeFileSync(CERT_PATH, cert, { mode: 0o644 });
-  fs.writeFileSync(META_PATH, JSON.stringify({ expiresAt }, null, 2));
+  fs.writeFileSync(META_PATH, JSON.stringify({ mode, expiresAt, issuedAt: Date.now() }, null, 2));
 }
 
 function readMeta() {
@@ -57,133 +88,435 @@ function readPemFiles() {
   }
 }
 
-function generate(hostnames = []) {
-  // properties for the certificate subject alt names
+function isLinkLocal(addr) {
+  return /^fe[89ab][0-9a-f]:/i.test(addr) || addr.startsWith("169.254.");
+}
+
+// names the certificate is valid for: mDNS name, hostname, certs.altNames and every
+// interface address (link-local ones need a zone id in the URL, nobody browses to those)
+function certHostnames() {
+  const addrs = Array.from(getLocalAddresses()).filter(a => !isLinkLocal(a));
+  return Array.from(new Set([mdnsName(), os.hostname(), "localhost", ...config.get("certs.altNames"), ...addrs]));
+}
+
+// comparable form of a SAN entry, IPv6 in the cert is written out in full
+function sanKey(name) {
+  const type = net.isIP(name);
+  if (type === 6) return "ip:" + new URL(`http://[${name}]`).hostname;
+  if (type === 4) return "ip:" + name;
+  return "dns:" + name.toLowerCase();
+}
+
+function sanKeys(hostnames) {
+  return Array.from(new Set(hostnames.map(sanKey))).sort().join(",");
+}
+
+function certSanKeys(x) {
+  const names = (x.subjectAltName || "").split(", ").map(entry => {
+    if (entry.startsWith("DNS:")) return entry.slice(4);
+    if (entry.startsWith("IP Address:")) return entry.slice(11);
+    return null;
+  });
+  return sanKeys(names.filter(Boolean));
+}
+
+function altNames(hostnames) {
+  return hostnames.map(h => net.isIP(h) ? { type: 7, ip: h } : { type: 2, value: h });
+}
+
+function validityDays() {
+  return config.get("certs.validityDays");
+}
+
+function generateSelfSigned(hostnames) {
   const attrs = [
-    { name: "commonName", value: hostnames[0] || os.hostname() },
+    { name: "commonName", value: hostnames[0] },
   ];
 
   const opts = {
-    days: VALIDITY_DAYS,
+    days: validityDays(),
     keySize: 2048,
     algorithm: "sha256",
     extensions: [
-      {
-        name: "subjectAltName",
-        altNames: hostnames.map(h => {
-          if (/^\d+\.\d+\.\d+\.\d+$/.test(h)) return { type: 7, ip: h }; // IP
-          if (h.endsWith(".local")) return { type: 2, value: h }; // DNS
-          return { type: 2, value: h };
-        })
-      }
+      { name: "subjectAltName", altNames: altNames(hostnames) }
     ]
   };
 
   const pems = selfsigned.generate(attrs, opts);
-  const expiresAt = Date.now() + VALIDITY_DAYS * 24 * 60 * 60 * 1000;
-  writeFiles({ key: pems.private, cert: pems.cert, expiresAt });
-  return { key: pems.private, cert: pems.cert, expiresAt };
+  return { key: pems.private, cert: pems.cert };
+}
+
+// positive 128 bit serial
+function randomSerial() {
+  return "01" + crypto.randomBytes(15).toString("hex");
+}
+
+function createCA() {
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = randomSerial();
+  cert.validity.notBefore = new Date(Date.now() - 5 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + config.get("certs.caValidityDays") * DAY_MS);
+
+  const attrs = [
+    { name: "commonName", value: `Untamed Local CA (${os.hostname()})` },
+    { name: "organizationName", value: "Untamed" },
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([
+    { name: "basicConstraints", cA: true, pathLenConstraint: 0, critical: true },
+    { name: "keyUsage", keyCertSign: true, cRLSign: true, critical: true },
+    { name: "subjectKeyIdentifier" },
+  ]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const keyPem = forge.pki.privateKeyToPem(keys.privateKey);
+  const certPem = forge.pki.certificateToPem(cert);
+  ensureCertDir();
+  fs.writeFileSync(CA_KEY_PATH, keyPem, { mode: 0o600 });
+  fs.writeFileSync(CA_CERT_PATH, certPem, { mode: 0o644 });
+  console.log("Created local root CA, install /ca.crt on presenter devices once to trust this display");
+  return { key: keys.privateKey, cert, certPem };
+}
+
+// the root is created once and reused, unless it is about to expire
+function loadOrCreateCA() {
+  try {
+    const certPem = fs.readFileSync(CA_CERT_PATH, "utf8");
+    const cert = forge.pki.certificateFromPem(certPem);
+    const key = forge.pki.privateKeyFromPem(fs.readFileSync(CA_KEY_PATH, "utf8"));
+    if (cert.validity.notAfter.getTime() - Date.now() > CA_MIN_REMAINING_MS) return { key, cert, certPem };
+    console.warn("Local root CA is about to expire, creating a new one (devices need to install /ca.crt again)");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("Could not load local root CA, creating a new one:", e.message);
+  }
+  return createCA();
+}
+
+function issueFromCA(hostnames) {
+  const ca = loadOrCreateCA();
+  const keys = forge.pki.rsa.generateKeyPair({ bits: 2048 });
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = randomSerial();
+  // a little slack for devices whose clock runs behind
+  cert.validity.notBefore = new Date(Date.now() - 5 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + validityDays() * DAY_MS);
+  cert.setSubject([{ name: "commonName", value: hostnames[0] }]);
+  cert.setIssuer(ca.cert.subject.attributes);
+  cert.setExtensions([
+    { name: "basicConstraints", cA: false },
+    { name: "keyUsage", digitalSignature: true, keyEncipherment: true, critical: true },
+    { name: "extKeyUsage", serverAuth: true },
+    { name: "subjectAltName", altNames: altNames(hostnames) },
+    { name: "subjectKeyIdentifier" },
+    { name: "authorityKeyIdentifier", keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes() },
+  ]);
+  cert.sign(ca.key, forge.md.sha256.create());
+
+  return { key: forge.pki.privateKeyToPem(keys.privateKey), cert: forge.pki.certificateToPem(cert) };
+}
+
+function readImportFile(setting) {
+  const file = path.resolve(__dirname, config.get(setting));
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new Error(`Cannot read ${setting} (${file}): ${e.message}`);
+  }
+}
+
+function loadImported() {
+  if (!config.get("certs.importCert") || !config.get("certs.importKey")) {
+    throw new Error("certs.mode is \"import\" but certs.importCert and certs.importKey are not both set");
+  }
+  const certPem = readImportFile("certs.importCert");
+  const key = readImportFile("certs.importKey");
+  const chain = config.get("certs.importChain") ? readImportFile("certs.importChain") : "";
+
+  const x = new crypto.X509Certificate(certPem);
+  if (!x.checkPrivateKey(crypto.createPrivateKey(key))) {
+    throw new Error("certs.importKey does not belong to the certificate in certs.importCert");
+  }
+  if (Date.parse(x.validTo) < Date.now()) {
+    console.warn(`Imported certificate expired on ${x.validTo}`);
+  }
+
+  // leaf first, then intermediates so clients can build the path to the root
+  const cert = [certPem, chain].map(p => p.trim()).filter(Boolean).join("\n") + "\n";
+  return { key, cert };
+}
+
+function expiryOf(certPem) {
+  return Date.parse(new crypto.X509Certificate(certPem).validTo);
+}
+
+function store(pems, mode) {
+  const expiresAt = expiryOf(pems.cert);
+  writeFiles({ key: pems.key, cert: pems.cert, expiresAt, mode });
+  return { key: pems.key, cert: pems.cert, expiresAt };
 }
 
-function needRegenSoon(thresholdMs = 24 * 60 * 60 * 1000 * 7) { // default: 7 days
-  const meta = readMeta();
-  if (!meta || !meta.expiresAt) return true;
-  const now = Date.now();
-  return (meta.expiresAt - now) < thresholdMs;
+// issue (or import) a certificate for one of the modes that work offline and write it to cert/
+function issueLocal(mode) {
+  const hostnames = certHostnames();
+  if (mode === "import") return store(loadImported(), mode);
+  if (mode === "local-ca") return store(issueFromCA(hostnames), mode);
+  return store(generateSelfSigned(hostnames), "self-signed");
 }
 
-function ensureCerts(hostname) {
+async function issue() {
+  const mode = config.get("certs.mode");
+  if (mode !== "acme") return issueLocal(mode);
+  const pems = store(await acme.issueCertificate(), mode);
+  acmePending = false;
+  return pems;
+}
+
+// renew once a cert is about a month into its validity (~5 months left with the default 183 days),
+// ACME certs are only renewed close to expiry
+function renewThresholdMs(mode) {
+  if (mode === "acme") return config.get("certs.acme.renewDays") * DAY_MS;
+  return Math.max(1, validityDays() - 30) * DAY_MS;
+}
+
+// the cert on disk is fine to keep serving for the current mode
+function isUsable(pem, meta, mode) {
+  if (!pem || (meta?.mode || "self-signed") !== mode) return false;
+  try {
+    const x = new crypto.X509Certificate(pem.cert);
+    if (Date.parse(x.validTo) < Date.now() + renewThresholdMs(mode)) return false;
+    if (mode === "acme") {
+      const names = x.subjectAltName || "";
+      if (!config.get("certs.acme.domains").every(d => names.split(", ").includes(`DNS:${d}`))) return false;
+    }
+    if ((mode === "self-signed" || mode === "local-ca") && certSanKeys(x) !== sanKeys(certHostnames())) return false;
+    if (mode === "local-ca") {
+      const ca = new crypto.X509Certificate(fs.readFileSync(CA_CERT_PATH, "utf8"));
+      if (!x.checkIssued(ca)) return false;
+    }
+    return true;
+  } catch (e) {
+    console.warn("Could not inspect existing cert:", e.message);
+    return false;
+  }
+}
+
+// certificate to start the HTTPS server with; issues a new one when needed.
+// In acme mode without a usable cert a self-signed stand-in is returned and
+// scheduleRotation() orders the real one once the servers are listening
+function ensureCerts() {
   ensureCertDir();
+  const mode = config.get("certs.mode");
+  if (mode === "import") return issueLocal(mode);
+  if (mode === "acme") {
+    const problem = acme.checkSettings();
+    if (problem) throw new Error(problem);
+  }
 
-  // try to read existing pem files and meta
   const pem = readPemFiles();
-  const meta = readMeta();
+  if (isUsable(pem, readMeta(), mode)) {
+    return { key: pem.key, cert: pem.cert, expiresAt: expiryOf(pem.cert) };
+  }
 
-  if (pem && meta && meta.expiresAt && meta.expiresAt > Date.now()) {
-    // existing cert is valid
-    return { key: pem.key, cert: pem.cert, expiresAt: meta.expiresAt };
+  if (mode === "acme") {
+    console.log("No usable ACME cert yet, serving a self-signed one until the order completes");
+    acmePending = true;
+    return issueLocal("self-signed");
   }
+  console.log(`Existing cert missing, expiring soon, for other addresses or not from "${mode}" — issuing a new one`);
+  return issueLocal(mode);
+}
 
-  const hostnames = [hostname, os.hostname(), "localhost", "127.0.0.1", "::1"].filter(Boolean);
-  return generate(Array.from(new Set(hostnames)));
+// servers passed here get new certs installed on every rotation
+function attach(server) {
+  servers.add(server);
 }
 
-function msUntilNextDayOfMonth(day) {
-  const now = new Date();
-  const thisMonthTarget = new Date(now.getFullYear(), now.getMonth(), day, 2, 0, 0, 0);
+function onRotate(fn) {
+  rotateListeners.push(fn);
+}
 
-  if (thisMonthTarget.getMonth() !== now.getMonth()) {
-    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, day, 2, 0, 0, 0);
-    return nextMonth - now;
+// issue a new cert and hot-swap it into every attached server.
+// Rejects if issuing fails, the old cert stays in place then
+function rotate() {
+  if (!rotating) {
+    rotating = issue().then(install).finally(() => { rotating = null; });
   }
+  return rotating;
+}
 
-  if (thisMonthTarget > now) return thisMonthTarget - now;
+function install(pems) {
+  servers.forEach(server => {
+    // setSecureContext accepts the same options as tls.createSecureContext
+    if (typeof server.setSecureContext === "function") {
+      server.setSecureContext({ key: pems.key, cert: pems.cert });
+      console.log("Installed new TLS certs into running server");
+    } else {
+      console.warn("setSecureContext not available on this Node version; a server restart will be required to pick up new certs");
+    }
+  });
+  rotateListeners.forEach(fn => {
+    try { fn(pems); } catch (e) { console.error("Cert rotation listener failed:", e); }
+  });
+  return certInfo();
+}
 
-  const next = new Date(now.getFullYear(), now.getMonth() + 1, day, 2, 0, 0, 0);
-  if (next.getDate() !== day) {
-    let m = now.getMonth() + 2;
-    let y = now.getFullYear();
-    while (true) {
-      const candidate = new Date(y, m - 1, day, 2, 0, 0, 0);
-      if (candidate.getDate() === day) return candidate - now;
-      m++;
-      if (m > 12) { m = 1; y++; }
+// Compute next occurrence of the rotation day (certs.rotationDay) at 00:00:00 local time
+function nextRotationAtMidnight() {
+  const day = config.get("certs.rotationDay");
+  const now = new Date();
+  let year = now.getFullYear();
+  let month = now.getMonth(); // 0-based
+  const candidate = new Date(year, month, day, 0, 0, 0, 0);
+  // if candidate is already in the past or is now, pick next month
+  if (candidate.getTime() <= now.getTime()) {
+    month += 1;
+    if (month > 11) {
+      month = 0;
+      year += 1;
     }
   }
-  return next - now;
+  return new Date(year, month, day, 0, 0, 0, 0);
 }
 
-function scheduleRotation(server, dayOfMonth = 28, onRotateCallback) {
-  // 7day expiry
-  if (needRegenSoon()) {
-    const hn = os.hostname() + ".local";
-    const newCert = ensureCerts(hn);
-    // attempt to reload into running server
-    try {
-      if (server && typeof server.setSecureContext === "function") {
-        server.setSecureContext({ key: newCert.key, cert: newCert.cert });
-        if (typeof onRotateCallback === "function") onRotateCallback(newCert);
+// ACME: check twice a day whether renewal is due, retry hourly after a failure
+function scheduleAcmeRenewal(delay) {
+  stopRotation();
+  rotationTimer = setTimeout(() => {
+    const pem = readPemFiles();
+    if (!acmePending && isUsable(pem, readMeta(), "acme")) return scheduleAcmeRenewal(ACME_CHECK_MS);
+    console.log("ACME certificate missing or due for renewal, ordering a new one");
+    rotate().then(
+      () => scheduleAcmeRenewal(ACME_CHECK_MS),
+      (e) => {
+        console.error("ACME order failed, retrying in an hour:", e.message);
+        scheduleAcmeRenewal(ACME_RETRY_MS);
       }
-    } catch (e) {
-      console.warn("Failed to set initial secure context:", e);
+    );
+  }, delay);
+}
+
+// monthly rotation, call again to pick up a changed certs.rotationDay or certs.mode
+function scheduleRotation() {
+  if (config.get("certs.mode") === "acme") {
+    console.log("ACME mode: certificate renewal is checked every 12 hours");
+    return scheduleAcmeRenewal(acmePending ? 0 : ACME_CHECK_MS);
+  }
+  stopRotation();
+  const next = nextRotationAtMidnight();
+  console.log(`Next cert rotation scheduled for ${next.toString()} (in ${Math.round((next.getTime() - Date.now()) / 1000)}s)`);
+
+  const wait = () => {
+    const remaining = next.getTime() - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) {
+      rotationTimer = setTimeout(wait, MAX_TIMEOUT_MS);
+      return;
     }
+    rotationTimer = setTimeout(() => {
+      console.log("Running scheduled monthly cert rotation");
+      rotate().catch(e => console.error("Failed to rotate certs:", e)).then(scheduleRotation);
+    }, Math.max(0, remaining));
+  };
+  wait();
+}
+
+function stopRotation() {
+  if (rotationTimer) clearTimeout(rotationTimer);
+  rotationTimer = null;
+}
+
+// re-issue generated certs when the machine's addresses change (DHCP on a new network, ...)
+function checkAddresses() {
+  const mode = config.get("certs.mode");
+  if ((mode !== "self-signed" && mode !== "local-ca") || rotating) return;
+
+  let x;
+  try {
+    x = new crypto.X509Certificate(fs.readFileSync(CERT_PATH, "utf8"));
+  } catch (e) {
+    return;
+  }
+  const hostnames = certHostnames();
+  const wanted = sanKeys(hostnames);
+  if (certSanKeys(x) === wanted) {
+    pendingNames = null;
+    return;
   }
+  // interfaces come up one at a time, wait until the set holds for a second poll
+  if (pendingNames !== wanted) {
+    pendingNames = wanted;
+    return;
+  }
+  pendingNames = null;
+  console.log(`Network addresses changed, re-issuing cert for ${hostnames.join(", ")}`);
+  rotate().catch(e => console.error("Failed to re-issue cert for the new addresses:", e));
+}
 
-  // schedule function
-  function scheduleNext() {
-    const ms = msUntilNextDayOfMonth(dayOfMonth);
-    console.log(`Next cert rotation scheduled in ${(ms / 1000 / 60 / 60).toFixed(2)} hours`);
-    setTimeout(async () => {
-      try {
-        const hn = os.hostname() + ".local";
-        const newCert = ensureCerts(hn); 
-        const rotated = generate([hn, os.hostname(), "localhost", "127.0.0.1", "::1"]);
-        try {
-          if (server && typeof server.setSecureContext === "function") {
-            server.setSecureContext({ key: rotated.key, cert: rotated.cert });
-            console.log("TLS context rotated with new self-signed certificate");
-            if (typeof onRotateCallback === "function") onRotateCallback(rotated);
-          } else {
-            console.log("No server.setSecureContext available; cert files were written but server was not reloaded in-memory");
-          }
-        } catch (e) {
-          console.error("Failed to set secure context on server:", e);
-        }
-      } catch (err) {
-        console.error("Error during cert rotation:", err);
-      } finally {
-        scheduleNext();
-      }
-    }, ms);
+// poll every certs.watchIntervalMs (0 turns it off), call again when that changes
+function watchAddresses() {
+  stopWatching();
+  const interval = config.get("certs.watchIntervalMs");
+  if (interval) watchTimer = setInterval(checkAddresses, interval);
+}
+
+function stopWatching() {
+  if (watchTimer) clearInterval(watchTimer);
+  watchTimer = null;
+  pendingNames = null;
+}
+
+// PEM of the local root CA, only in local-ca mode
+function caCertificatePem() {
+  if (config.get("certs.mode") !== "local-ca") return null;
+  try {
+    return fs.readFileSync(CA_CERT_PATH, "utf8");
+  } catch (e) {
+    return null;
   }
+}
+
+function describe(x) {
+  return {
+    subject: x.subject,
+    issuer: x.issuer,
+    validFrom: Date.parse(x.validFrom),
+    validTo: Date.parse(x.validTo),
+    fingerprint256: x.fingerprint256,
+  };
+}
 
-  scheduleNext();
+// inspect the cert, this only works on node.js, if you are using a different runtime please use that runtimes API
+function certInfo() {
+  try {
+    const x = new crypto.X509Certificate(fs.readFileSync(CERT_PATH, "utf8"));
+    const caPem = caCertificatePem();
+    return {
+      mode: config.get("certs.mode"),
+      ...describe(x),
+      subjectAltName: x.subjectAltName || null,
+      ca: caPem ? describe(new crypto.X509Certificate(caPem)) : null,
+    };
+  } catch (e) {
+    return null;
+  }
 }
 
 module.exports = {
   ensureCerts,
+  rotate,
+  attach,
+  onRotate,
   scheduleRotation,
+  stopRotation,
+  watchAddresses,
+  stopWatching,
+  certInfo,
+  caCertificatePem,
   KEY_PATH,
   CERT_PATH,
   META_PATH,
+  CA_CERT_PATH,
 };
\ No newline at end of file
@@ -0,0 +1,651 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "untamed.config.json");
+
+// every setting lives here, keyed by its dotted name in the config file.
+// restart: true means a running server only picks the change up after a restart,
+// secret: true keeps the value out of status, settings and CLI listings (all({ redact: true }))
+const SCHEMA = {
+  "server.httpsPort": {
+    type: "integer", min: 1, max: 65535, default: 443, env: "HTTPS_PORT", restart: true,
+    description: "HTTPS/WSS listen port"
+  },
+  "server.httpPort": {
+    type: "integer", min: 1, max: 65535, default: 80, env: "HTTP_PORT", restart: true,
+    description: "HTTP -> HTTPS redirect listen port"
+  },
+  "server.publicUrl": {
+    type: "string", nullable: true, default: null, format: "origin", env: "PUBLIC_URL",
+    description: "address presenters open, e.g. https://screen.example.org, used for the QR code and redirects (null: https://<hostname>.local and the HTTPS port)"
+  },
+  "server.hsts": {
+    type: "boolean", default: true,
+    description: "send Strict-Transport-Security, browsers then refuse plain HTTP for this name"
+  },
+  "server.hstsMaxAgeSec": {
+    type: "integer", min: 0, max: 2 * 365 * 24 * 60 * 60, default: 365 * 24 * 60 * 60,
+    description: "how long browsers remember to use HTTPS only"
+  },
+  "server.hstsIncludeSubDomains": {
+    type: "boolean", default: true,
+    description: "apply Strict-Transport-Security to every subdomain too"
+  },
+  "proxy.enabled": {
+    type: "boolean", default: false, restart: true,
+    description: "run behind a reverse proxy (nginx, Caddy) that terminates TLS: listen on plain HTTP and leave certificates to the proxy"
+  },
+  "proxy.listenHost": {
+    type: "string", default: "127.0.0.1", restart: true,
+    description: "address the plain HTTP upstream listens on in proxy mode"
+  },
+  "proxy.listenPort": {
+    type: "integer", min: 1, max: 65535, default: 8080, restart: true,
+    description: "port the plain HTTP upstream listens on in proxy mode"
+  },
+  "proxy.trusted": {
+    type: "list", default: ["127.0.0.1"],
+    description: "addresses of reverse proxies whose X-Forwarded-For, -Proto and -Host headers are believed in proxy mode"
+  },
+  "server.controlSocket": {
+    type: "string",
+    default: process.platform === "win32" ? "\\\\.\\pipe\\untamed-control" : "/tmp/untamed-control.sock",
+    restart: true,
+    description: "control socket / named pipe used by the untamed CLI"
+  },
+  "log.file": {
+    type: "string", default: path.join(__dirname, "logs", "untamed.log"), restart: true,
+    description: "server log file, relative paths are resolved against the install directory"
+  },
+  "log.maxBytes": {
+    type: "integer", min: 64 * 1024, max: 1024 * 1024 * 1024, default: 5 * 1024 * 1024, restart: true,
+    description: "size at which the log file is rotated"
+  },
+  "log.maxFiles": {
+    type: "integer", min: 0, max: 50, default: 5, restart: true,
+    description: "rotated log files to keep"
+  },
+  "audit.enabled": {
+    type: "boolean", default: true,
+    description: "write the audit log: sign-ins, passcodes, presentations, certificate rotations, admin and control actions"
+  },
+  "audit.file": {
+    type: "string", default: path.join(__dirname, "logs", "audit.jsonl"), restart: true,
+    description: "audit log file (JSON lines), relative paths are resolved against the install directory"
+  },
+  "audit.maxBytes": {
+    type: "integer", min: 64 * 1024, max: 1024 * 1024 * 1024, default: 5 * 1024 * 1024, restart: true,
+    description: "size at which the audit log is rotated"
+  },
+  "audit.maxFiles": {
+    type: "integer", min: 0, max: 100, default: 10, restart: true,
+    description: "rotated audit log files to keep"
+  },
+  "passcode.expiryMs": {
+    type: "integer", min: 30 * 1000, max: 24 * 60 * 60 * 1000, default: 5 * 60 * 1000,
+    description: "how long a room passcode stays valid"
+  },
+  "auth.perIpPerMinute": {
+    type: "integer", min: 1, max: 1000, default: 10,
+    description: "passcode sign-in attempts allowed per IP address and minute"
+  },
+  "auth.globalPerMinute": {
+    type: "integer", min: 1, max: 100 * 1000, default: 60,
+    description: "passcode sign-in attempts allowed per minute for the whole server"
+  },
+  "auth.backoffBaseMs": {
+    type: "integer", min: 0, max: 60 * 1000, default: 1000,
+    description: "wait after a wrong passcode, doubled with every further one from the same IP"
+  },
+  "auth.maxFailures": {
+    type: "integer", min: 1, max: 100, default: 5,
+    description: "wrong passcodes in a row before an IP address is locked out"
+  },
+  "auth.lockoutMs": {
+    type: "integer", min: 1000, max: 24 * 60 * 60 * 1000, default: 15 * 60 * 1000,
+    description: "how long a locked out IP address has to wait"
+  },
+  "auth.rememberDevices": {
+    type: "boolean", default: false,
+    description: "let presenters remember their device and come back to the same room without a PIN"
+  },
+  "auth.deviceTokenDays": {
+    type: "integer", min: 1, max: 365, default: 30,
+    description: "how long a remembered device stays remembered"
+  },
+  "approval.required": {
+    type: "boolean", default: false,
+    description: "hold presenters with a valid passcode until someone at the display accepts them"
+  },
+  "approval.timeoutMs": {
+    type: "integer", min: 10 * 1000, max: 10 * 60 * 1000, default: 60 * 1000,
+    description: "how long a presenter waits for the display to accept before the request is dropped"
+  },
+  "queue.maxLength": {
+    type: "integer", min: 0, max: 100, default: 10,
+    description: "presenters allowed to wait in line per room"
+  },
+  "presenters.max": {
+    type: "integer", min: 1, max: 4, default: 1,
+    description: "presenters shown on a display at the same time, others wait in line"
+  },
+  "presenters.layout": {
+    type: "enum", values: ["side-by-side", "grid", "pip"], default: "side-by-side",
+    description: "how the host arranges several presenters, can be switched while streaming"
+  },
+  "quality.defaultPreset": {
+    type: "enum", values: ["text", "balanced", "video"], default: "balanced",
+    description: "stream quality preset presenters start with (text: sharp, low frame rate; video: 30-60 fps)"
+  },
+  "quality.presenterChoice": {
+    type: "boolean", default: true,
+    description: "let presenters pick another preset, otherwise quality.defaultPreset is used"
+  },
+  "quality.codec": {
+    type: "enum", values: ["h264", "vp9", "av1", "vp8"], default: "h264",
+    description: "preferred video codec if the presenter's browser has it, H.264 is decoded in hardware on a Pi"
+  },
+  "quality.maxBitrateKbps": {
+    type: "integer", min: 0, max: 100 * 1000, default: 0,
+    description: "video bitrate cap for every presenter (0: the preset decides)"
+  },
+  "quality.maxFrameRate": {
+    type: "integer", min: 1, max: 60, default: 60,
+    description: "frame rate cap for every presenter"
+  },
+  "quality.maxHeight": {
+    type: "integer", min: 0, max: 4320, default: 0,
+    description: "resolution cap in lines for every presenter (0: the preset decides)"
+  },
+  "certs.validityDays": {
+    type: "integer", min: 1, max: 825, default: 183,
+    description: "validity of generated certificates"
+  },
+  "certs.rotationDay": {
+    type: "integer", min: 1, max: 28, default: 1,
+    description: "day of the month certificates are rotated"
+  },
+  "certs.altNames": {
+    type: "list", default: [],
+    description: "extra names or addresses for generated certificates, besides the interface addresses and mDNS name"
+  },
+  "certs.watchIntervalMs": {
+    type: "integer", min: 0, max: 60 * 60 * 1000, default: 30 * 1000,
+    description: "how often to check for network address changes that need a new certificate (0 disables)"
+  },
+  "certs.mode": {
+    type: "enum", values: ["self-signed", "local-ca", "import", "acme"], default: "self-signed",
+    description: "where the TLS certificate comes from"
+  },
+  "certs.caValidityDays": {
+    type: "integer", min: 30, max: 7300, default: 3650,
+    description: "validity of the local root CA (local-ca mode)"
+  },
+  "certs.importCert": {
+    type: "string", nullable: true, default: null,
+    description: "PEM certificate to serve in import mode, relative paths are resolved against the install directory"
+  },
+  "certs.importKey": {
+    type: "string", nullable: true, default: null,
+    description: "PEM private key for certs.importCert"
+  },
+  "certs.importChain": {
+    type: "string", nullable: true, default: null,
+    description: "optional PEM intermediate chain sent after certs.importCert"
+  },
+  "certs.acme.directoryUrl": {
+    type: "string", default: "https://acme-v02.api.letsencrypt.org/directory",
+    description: "ACME directory of the CA (acme mode)"
+  },
+  "certs.acme.domains": {
+    type: "list", default: [],
+    description: "domain names to request, they must resolve to this machine and reach server.httpPort"
+  },
+  "certs.acme.email": {
+    type: "string", nullable: true, default: null,
+    description: "contact address for the ACME account (expiry notices)"
+  },
+  "certs.acme.agreeTerms": {
+    type: "boolean", default: false,
+    description: "accept the ACME CA's terms of service"
+  },
+  "certs.acme.renewDays": {
+    type: "integer", min: 1, max: 60, default: 30,
+    description: "renew ACME certificates this many days before they expire"
+  },
+  "certs.acme.caBundle": {
+    type: "string", nullable: true, default: null,
+    description: "extra CA to trust for the ACME directory's HTTPS, e.g. Pebble's test CA"
+  },
+  "ice.stunUrls": {
+    type: "list", default: [],
+    description: "STUN servers handed to browsers, e.g. stun:stun.example.org:3478"
+  },
+  "ice.turnUrls": {
+    type: "list", default: [],
+    description: "external TURN servers handed to browsers, e.g. turn:turn.example.org:3478"
+  },
+  "ice.turnSecret": {
+    type: "string", nullable: true, default: null, secret: true,
+    description: "shared secret of the ice.turnUrls servers (coturn static-auth-secret), for short-lived credentials"
+  },
+  "ice.credentialTtlSec": {
+    type: "integer", min: 60, max: 24 * 60 * 60, default: 60 * 60,
+    description: "lifetime of TURN credentials from /ice-config"
+  },
+  "turn.enabled": {
+    type: "boolean", default: false, restart: true,
+    description: "run a TURN/STUN relay inside the server (UDP)"
+  },
+  "turn.port": {
+    type: "integer", min: 1, max: 65535, default: 3478, restart: true,
+    description: "UDP port of the embedded TURN/STUN relay"
+  },
+  "turn.minPort": {
+    type: "integer", min: 1024, max: 65535, default: 49152, restart: true,
+    description: "lowest UDP port used for relayed media"
+  },
+  "turn.maxPort": {
+    type: "integer", min: 1024, max: 65535, default: 65535, restart: true,
+    description: "highest UDP port used for relayed media"
+  },
+  "turn.maxUsers": {
+    type: "integer", min: 1, max: 10000, default: 200,
+    description: "live credentials the embedded relay hands out at most, /ice-config leaves the relay out beyond it"
+  },
+  "turn.realm": {
+    type: "string", default: "untamed", restart: true,
+    description: "TURN realm of the embedded relay"
+  },
+  "viewer.enabled": {
+    type: "boolean", default: true,
+    description: "let other devices watch the current presentation (view.html)"
+  },
+  "viewer.separatePasscode": {
+    type: "boolean", default: true,
+    description: "viewers join with their own code instead of the presenter passcode"
+  },
+  "viewer.maxViewers": {
+    type: "integer", min: 0, max: 50, default: 5,
+    description: "viewers per room, the host uploads one copy of the stream to each"
+  },
+  "recording.enabled": {
+    type: "boolean", default: false,
+    description: "record presented streams on the host and keep them on the server"
+  },
+  "recording.dir": {
+    type: "string", default: path.join(__dirname, "recordings"),
+    description: "where recordings are stored, relative paths are resolved against the install directory"
+  },
+  "recording.chunkMs": {
+    type: "integer", min: 1000, max: 60 * 1000, default: 5000,
+    description: "how often the host uploads a piece of the recording"
+  },
+  "recording.maxTotalBytes": {
+    type: "integer", min: 100 * 1024 * 1024, max: 1024 * 1024 * 1024 * 1024, default: 10 * 1024 * 1024 * 1024,
+    description: "disk space for all recordings, the oldest ones are deleted beyond it"
+  },
+  "recording.maxAgeDays": {
+    type: "integer", min: 0, max: 3650, default: 30,
+    description: "delete recordings older than this (0 keeps them until space runs out)"
+  },
+  "whiteboard.enabled": {
+    type: "boolean", default: true,
+    description: "offer a whiteboard on the host display while nobody presents"
+  },
+  "whiteboard.dir": {
+    type: "string", default: path.join(__dirname, "whiteboards"),
+    description: "where whiteboards are saved, relative paths are resolved against the install directory"
+  },
+  "whiteboard.autosaveMs": {
+    type: "integer", min: 2000, max: 10 * 60 * 1000, default: 10 * 1000,
+    description: "how often the host saves a whiteboard that changed"
+  },
+  "whiteboard.maxPages": {
+    type: "integer", min: 1, max: 200, default: 50,
+    description: "pages per whiteboard"
+  },
+  "whiteboard.maxAgeDays": {
+    type: "integer", min: 0, max: 3650, default: 30,
+    description: "delete whiteboards not changed for this long (0 keeps them)"
+  },
+  "mdns.enabled": {
+    type: "boolean", default: true,
+    description: "answer for <hostname>.local and advertise the display over mDNS/DNS-SD"
+  },
+  "mdns.name": {
+    type: "string", nullable: true, default: null,
+    description: "service instance name shown to browsing devices (null: \"Untamed on <hostname>\")"
+  },
+  "host.theme": {
+    type: "enum", values: [null, "default", "fall", "winter"], default: null,
+    description: "force a host page theme (null picks one by month)"
+  },
+  "host.watchdogPollMs": {
+    type: "integer", min: 100, max: 60 * 1000, default: 1000,
+    description: "how often the host checks the stream for progress"
+  },
+  "host.stallThresholdMs": {
+    type: "integer", min: 500, max: 10 * 60 * 1000, default: 3500,
+    description: "stream stall time before the host returns to the landing page"
+  },
+  "host.duplicates": {
+    type: "enum", values: ["replace", "reject"], default: "replace",
+    description: "a second display registering for a room takes over (the first one stops) or is turned away while the first is connected"
+  },
+  "heartbeat.intervalMs": {
+    type: "integer", min: 0, max: 5 * 60 * 1000, default: 10 * 1000,
+    description: "how often every WebSocket peer is pinged (0 disables heartbeats)"
+  },
+  "heartbeat.maxMissed": {
+    type: "integer", min: 1, max: 20, default: 2,
+    description: "unanswered pings in a row before a peer is treated as gone and disconnected"
+  },
+  "reconnect.graceMs": {
+    type: "integer", min: 0, max: 5 * 60 * 1000, default: 20 * 1000,
+    description: "how long a presenter or host display that lost its connection keeps its place (0: drop it at once)"
+  },
+  "stats.reportIntervalMs": {
+    type: "integer", min: 0, max: 60 * 1000, default: 5000,
+    description: "how often the host and presenters report connection statistics (0: not at all)"
+  },
+  "metrics.enabled": {
+    type: "boolean", default: true,
+    description: "serve Prometheus metrics at /metrics"
+  },
+  "metrics.requireToken": {
+    type: "boolean", default: false,
+    description: "require the admin token as a bearer token on /metrics"
+  }
+};
+
+class ConfigError extends Error {
+  constructor(problems, source) {
+    const list = Array.isArray(problems) ? problems : [problems];
+    super(`Invalid configuration${source ? " in " + source : ""}:\n  - ${list.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = list;
+  }
+}
+
+let configPath = DEFAULT_CONFIG_PATH;
+let fileValues = {}; // values set in the config file
+let overrides = {}; // env + CLI values, they win over the file
+let values = null; // merged, validated snapshot
+const listeners = [];
+
+// check one value against its schema entry, returns a problem string or null
+function checkValue(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec) return `unknown setting "${key}"`;
+  const got = JSON.stringify(value);
+
+  if (spec.type === "integer") {
+    if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+      return `${key} must be an integer between ${spec.min} and ${spec.max} (got ${got})`;
+    }
+  } else if (spec.type === "boolean") {
+    if (typeof value !== "boolean") return `${key} must be true or false (got ${got})`;
+  } else if (spec.type === "string") {
+    if (spec.nullable && value === null) return null;
+    if (typeof value !== "string" || (!spec.allowEmpty && !value.trim())) {
+      return `${key} must be a non-empty string (got ${got})`;
+    }
+    if (spec.format === "origin" && !/^https?:\/\/[^/?#\s]+\/?$/i.test(value)) {
+      return `${key} must be a scheme and host without a path, like https://screen.example.org (got ${got})`;
+    }
+  } else if (spec.type === "enum") {
+    if (!spec.values.includes(value)) {
+      return `${key} must be one of ${spec.values.map(v => JSON.stringify(v)).join(", ")} (got ${got})`;
+    }
+  } else if (spec.type === "list") {
+    if (!Array.isArray(value) || value.some(v => typeof v !== "string" || !v.trim())) {
+      return `${key} must be a list of non-empty strings (got ${got})`;
+    }
+  }
+  return null;
+}
+
+// env vars and command line flags are strings, turn them into the schema type
+function coerce(key, raw) {
+  const spec = SCHEMA[key];
+  if (!spec || typeof raw !== "string") return raw;
+  const s = raw.trim();
+  if (s === "null" && (spec.nullable || (spec.type === "enum" && spec.values.includes(null)))) return null;
+  if (spec.type === "integer") return /^-?\d+$/.test(s) ? Number(s) : raw;
+  if (spec.type === "boolean") {
+    if (["true", "1", "yes", "on"].includes(s.toLowerCase())) return true;
+    if (["false", "0", "no", "off"].includes(s.toLowerCase())) return false;
+    return raw;
+  }
+  if (spec.type === "list") return s ? s.split(",").map(v => v.trim()).filter(Boolean) : [];
+  return raw;
+}
+
+// { server: { httpsPort: 1 } } -> { "server.httpsPort": 1 }
+function flatten(obj, prefix, out) {
+  out = out || {};
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v) && !SCHEMA[key]) flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function nest(flat) {
+  const out = {};
+  for (const key of Object.keys(flat).sort()) {
+    const parts = key.split(".");
+    let node = out;
+    parts.slice(0, -1).forEach(p => { node = node[p] = node[p] || {}; });
+    node[parts[parts.length - 1]] = flat[key];
+  }
+  return out;
+}
+
+function readFileValues(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new ConfigError(`cannot read file: ${e.message}`, file);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new ConfigError(`not valid JSON: ${e.message}`, file);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ConfigError("top level must be a JSON object", file);
+  }
+  return flatten(parsed);
+}
+
+function validate(flat, source) {
+  const problems = Object.entries(flat).map(([k, v]) => checkValue(k, v)).filter(Boolean);
+  if (problems.length) throw new ConfigError(problems, source);
+}
+
+function merge() {
+  const merged = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) merged[key] = spec.default;
+  return Object.assign(merged, fileValues, overrides);
+}
+
+// --config <file>, --config=<file> and --<key>=<value> / --<key> <value>
+function parseArgs(argv) {
+  const out = { configPath: null, overrides: {}, args: [], rest: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const m = /^--([a-zA-Z][\w.]*)(?:=(.*))?$/.exec(arg);
+    if (!m) {
+      out.rest.push(arg);
+      continue;
+    }
+    const name = m[1];
+    if (name !== "config" && !SCHEMA[name]) {
+      out.rest.push(arg);
+      continue;
+    }
+    let value = m[2];
+    if (value === undefined) {
+      if (i + 1 >= argv.length) throw new ConfigError(`missing value for --${name}`, "command line");
+      value = argv[++i];
+    }
+    out.args.push(`--${name}=${value}`);
+    if (name === "config") out.configPath = path.resolve(value);
+    else out.overrides[name] = value;
+  }
+  return out;
+}
+
+function readEnvOverrides(env) {
+  const out = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== "") out[key] = coerce(key, env[spec.env]);
+  }
+  return out;
+}
+
+// load the config file, apply env + command line overrides and validate everything.
+// throws ConfigError, nothing is changed in that case
+function load({ argv = [], env = process.env } = {}) {
+  const args = parseArgs(argv);
+  const file = args.configPath || (env.UNTAMED_CONFIG ? path.resolve(env.UNTAMED_CONFIG) : DEFAULT_CONFIG_PATH);
+
+  const fromFile = readFileValues(file);
+  validate(fromFile, file);
+
+  const fromEnv = readEnvOverrides(env);
+  validate(fromEnv, "environment");
+
+  const fromArgs = {};
+  for (const [key, raw] of Object.entries(args.overrides)) fromArgs[key] = coerce(key, raw);
+  validate(fromArgs, "command line");
+
+  configPath = file;
+  fileValues = fromFile;
+  overrides = Object.assign(fromEnv, fromArgs);
+  values = merge();
+  // args: the config flags (to pass on to a child process), rest: everything else
+  return { configPath, args: args.args, rest: args.rest };
+}
+
+function ensureLoaded() {
+  if (!values) load();
+}
+
+function get(key) {
+  ensureLoaded();
+  if (!(key in SCHEMA)) throw new ConfigError(`unknown setting "${key}"`);
+  return values[key];
+}
+
+// shown instead of a secret that is set; setting it back to this keeps the stored value
+const SECRET_MASK = "********";
+
+function all({ redact = false } = {}) {
+  ensureLoaded();
+  const result = { ...values };
+  if (redact) {
+    Object.keys(SCHEMA).forEach(k => {
+      if (SCHEMA[k].secret && result[k] !== null && result[k] !== undefined) result[k] = SECRET_MASK;
+    });
+  }
+  return result;
+}
+
+function notify(changed) {
+  if (!changed.length) return;
+  listeners.forEach(fn => {
+    try { fn(changed); } catch (e) { console.error("Config change listener failed:", e); }
+  });
+}
+
+function diff(before, after) {
+  return Object.keys(SCHEMA).filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+}
+
+// re-read the config file; on error the running config is kept
+function reload() {
+  ensureLoaded();
+  const fromFile = readFileValues(configPath);
+  validate(fromFile, configPath);
+  const before = values;
+  fileValues = fromFile;
+  values = merge();
+  const changed = diff(before, values);
+  notify(changed);
+  return changed;
+}
+
+// validate and apply { key: value }, then write the file so the change survives restarts
+function set(patch, { coerceStrings = false } = {}) {
+  ensureLoaded();
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    throw new ConfigError("settings must be an object of { key: value }");
+  }
+  const next = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (SCHEMA[key] && SCHEMA[key].secret && value === SECRET_MASK) continue;
+    next[key] = coerceStrings ? coerce(key, value) : value;
+  }
+  validate(next, "update");
+
+  const nextFile = Object.assign({}, readFileValues(configPath), next);
+  fs.writeFileSync(configPath, JSON.stringify(nest(nextFile), null, 2) + "\n");
+
+  const before = values;
+  fileValues = nextFile;
+  // an explicit change beats the override the process was started with
+  Object.keys(next).forEach(k => { delete overrides[k]; });
+  values = merge();
+  const changed = diff(before, values);
+  notify(changed);
+  return changed;
+}
+
+function onChange(fn) {
+  listeners.push(fn);
+}
+
+function getConfigPath() {
+  return configPath;
+}
+
+// log file location, shared by the server and the CLI
+function logFilePath() {
+  return path.resolve(__dirname, get("log.file"));
+}
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  load,
+  reload,
+  get,
+  set,
+  all,
+  onChange,
+  getConfigPath,
+  logFilePath,
+};
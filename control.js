@@ -0,0 +1,194 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+  Control socket protocol: line-delimited JSON, one object per line.
+
+    request:  { "id": "42", "command": "kick-client", "args": { "room": "default" } }
+    response: { "id": "42", "ok": true, "result": { ... } }
+              { "id": "42", "ok": false, "error": { "code": "NOT_FOUND", "message": "..." } }
+
+  Several requests may be sent over one connection, responses carry the request id.
+*/
+const net = require("net");
+const fs = require("fs");
+
+const MAX_LINE_BYTES = 64 * 1024;
+
+const ERROR_CODES = {
+  BAD_REQUEST: "BAD_REQUEST", // not JSON, or no command
+  UNKNOWN_COMMAND: "UNKNOWN_COMMAND",
+  INVALID_ARGS: "INVALID_ARGS",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT", // command doesn't apply to the current state
+  INVALID_CONFIG: "INVALID_CONFIG",
+  INTERNAL: "INTERNAL",
+  // client side only
+  NOT_RUNNING: "NOT_RUNNING",
+  TIMEOUT: "TIMEOUT",
+  CLOSED: "CLOSED",
+  IO_ERROR: "IO_ERROR",
+};
+
+class ControlError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ControlError";
+    this.code = code;
+  }
+}
+
+function encode(obj) {
+  return JSON.stringify(obj) + "\n";
+}
+
+// commands: { name: async (args, ctx) => result }, ctx.onSent(fn) runs fn once the reply is written.
+// onCommand({ command, args, ok, error }) hears about every command that ran, e.g. for the audit log
+function createControlServer(socketPath, commands, { onCommand } = {}) {
+  // Clean stale socket on Unix systems
+  if (process.platform !== "win32") {
+    try {
+      if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+    } catch (e) {}
+  }
+
+  async function handleLine(socket, line) {
+    let req = null;
+    try { req = JSON.parse(line); } catch (e) {}
+    const id = req && typeof req === "object" && "id" in req ? req.id : null;
+
+    const reply = (body, after) => {
+      if (socket.destroyed) return;
+      socket.write(encode({ id, ...body }), () => { if (after) after(); });
+    };
+
+    if (!req || typeof req !== "object" || typeof req.command !== "string") {
+      return reply({ ok: false, error: { code: ERROR_CODES.BAD_REQUEST, message: "expected a JSON object with a \"command\"" } });
+    }
+
+    const handler = commands[req.command];
+    if (!handler) {
+      return reply({ ok: false, error: { code: ERROR_CODES.UNKNOWN_COMMAND, message: `unknown command "${req.command}"` } });
+    }
+
+    const args = req.args && typeof req.args === "object" ? req.args : {};
+    const done = (error) => { if (onCommand) onCommand({ command: req.command, args, ok: !error, error: error || null }); };
+    let after = null;
+    try {
+      console.log(`Control command: ${req.command}`);
+      const result = await handler(args, { onSent: (fn) => { after = fn; } });
+      done(null);
+      reply({ ok: true, result: result === undefined ? null : result }, after);
+    } catch (e) {
+      done(e instanceof ControlError ? e.code : ERROR_CODES.INTERNAL);
+      if (e instanceof ControlError) {
+        reply({ ok: false, error: { code: e.code, message: e.message } });
+      } else {
+        console.error(`Control command ${req.command} failed:`, e);
+        reply({ ok: false, error: { code: ERROR_CODES.INTERNAL, message: e.message || String(e) } });
+      }
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    socket.setEncoding("utf8");
+    let buffer = "";
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 1);
+        if (line) handleLine(socket, line);
+      }
+      if (buffer.length > MAX_LINE_BYTES) {
+        socket.end(encode({ id: null, ok: false, error: { code: ERROR_CODES.BAD_REQUEST, message: "request too large" } }));
+        buffer = "";
+      }
+    });
+
+    socket.on("error", () => {});
+  });
+
+  server.listen(socketPath, () => {
+    if (process.platform !== "win32") {
+      try { fs.chmodSync(socketPath, 0o600); } catch {}
+    }
+    console.log("Control socket listening");
+  });
+
+  return server;
+}
+
+// client side: send one request and resolve with its result, rejects with a ControlError
+function request(socketPath, command, args, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = `${process.pid}-${Date.now()}`;
+    const client = net.createConnection(socketPath);
+    let buffer = "";
+    let done = false;
+
+    const finish = (err, result) => {
+      if (done) return;
+      done = true;
+      client.end();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    client.setEncoding("utf8");
+    client.setTimeout(timeoutMs, () => {
+      finish(new ControlError(ERROR_CODES.TIMEOUT, "Untamed did not answer on the control socket."));
+      client.destroy();
+    });
+
+    client.on("connect", () => {
+      client.write(encode({ id, command, args: args || {} }));
+    });
+
+    client.on("data", (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 1);
+        let res;
+        try { res = JSON.parse(line); } catch (e) { continue; }
+        if (res.id !== id) continue;
+        if (res.ok) finish(null, res.result);
+        else finish(new ControlError(res.error?.code || ERROR_CODES.INTERNAL, res.error?.message || "request failed"));
+      }
+    });
+
+    client.on("close", () => {
+      finish(new ControlError(ERROR_CODES.CLOSED, "Control connection closed before a reply arrived."));
+    });
+
+    client.on("error", (err) => {
+      const notRunning = ["ENOENT", "ECONNREFUSED"].includes(err.code);
+      finish(new ControlError(notRunning ? ERROR_CODES.NOT_RUNNING : ERROR_CODES.IO_ERROR, notRunning ? "Untamed is not running." : err.message));
+    });
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  ControlError,
+  createControlServer,
+  request,
+};
@@ -0,0 +1,119 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+
+/*
+  Remembered devices (auth.rememberDevices). A presenter who ticks "Remember this device" gets a
+  token for that room and can present there again without the PIN until the token expires
+  (auth.deviceTokenDays) or is revoked from the admin console. Tokens are "<id>.<secret>"; only
+  a SHA-256 of the secret is kept, in .devices.json:
+  [{ id, room, hash, ip, userAgent, createdAt, lastUsedAt, expiresAt }].
+*/
+
+const FILE = path.join(__dirname, ".devices.json");
+const TOKEN_RE = /^([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let devices = null;
+
+function load() {
+  if (devices) return devices;
+  try {
+    devices = JSON.parse(fs.readFileSync(FILE, "utf8"));
+    if (!Array.isArray(devices)) devices = [];
+  } catch (e) {
+    devices = [];
+  }
+  return devices;
+}
+
+function save() {
+  try {
+    fs.writeFileSync(FILE, JSON.stringify(devices, null, 2), { mode: 0o600 });
+  } catch (e) {
+    console.error("Could not save remembered devices:", e.message);
+  }
+}
+
+// drop expired tokens, true if any were
+function prune() {
+  const before = load().length;
+  const now = Date.now();
+  devices = devices.filter(d => d.expiresAt > now);
+  return devices.length !== before;
+}
+
+function hash(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function issue({ room, ip, userAgent }) {
+  prune();
+  const id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  devices.push({
+    id,
+    room,
+    hash: hash(secret),
+    ip: ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: now + config.get("auth.deviceTokenDays") * DAY_MS
+  });
+  save();
+  return `${id}.${secret}`;
+}
+
+// the device if the token is valid for the room, otherwise null
+function verify(token, room) {
+  const m = TOKEN_RE.exec(String(token || ""));
+  if (!m) return null;
+  if (prune()) save();
+  const device = devices.find(d => d.id === m[1] && d.room === room);
+  if (!device) return null;
+  const given = Buffer.from(hash(m[2]), "hex");
+  const expected = Buffer.from(device.hash, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  device.lastUsedAt = Date.now();
+  save();
+  return device;
+}
+
+function list() {
+  if (prune()) save();
+  return devices.map(({ hash: _, ...d }) => d).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+function revoke(id) {
+  const before = load().length;
+  devices = devices.filter(d => d.id !== id);
+  if (devices.length === before) return false;
+  save();
+  return true;
+}
+
+module.exports = {
+  issue,
+  verify,
+  list,
+  revoke,
+};
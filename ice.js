@@ -0,0 +1,142 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const crypto = require("crypto");
+const Turn = require("node-turn");
+const config = require("./config");
+
+/*
+  ICE servers for the presenter, viewer and host pages. Anyone may ask /ice-config, which only
+  lists STUN servers; TURN credentials go to the paired display (/ice-config with the host key)
+  and to admitted presenters and viewers over their socket (clientAccepted, resumed, viewerAccepted).
+
+  TURN credentials follow the TURN REST API convention used by coturn's use-auth-secret:
+  username "<expiry unix time>:untamed-<random>", password base64(HMAC-SHA1(secret, username)).
+  External servers in ice.turnUrls share ice.turnSecret; the embedded relay (turn.enabled)
+  gets a random secret per run and learns every issued user until it expires.
+  Each client address keeps getting the same credentials while they are fresh, and the relay
+  stops issuing users at turn.maxUsers.
+*/
+
+let relay = null;
+let relaySecret = null;
+let relayFull = false; // warned about turn.maxUsers
+const relayUsers = new Map(); // username -> removal timer
+const issued = new Map(); // client address -> { host, iceServers, expiresAt }
+
+function restCredential(secret, ttlSec) {
+  const expiry = Math.floor(Date.now() / 1000) + ttlSec;
+  const username = `${expiry}:untamed-${crypto.randomBytes(6).toString("hex")}`;
+  const credential = crypto.createHmac("sha1", secret).update(username).digest("base64");
+  return { username, credential };
+}
+
+function relayCredential(ttlSec) {
+  if (relayUsers.size >= config.get("turn.maxUsers")) {
+    if (!relayFull) console.warn(`TURN relay: ${relayUsers.size} live users (turn.maxUsers), not issuing more`);
+    relayFull = true;
+    return null;
+  }
+  relayFull = false;
+  const cred = restCredential(relaySecret, ttlSec);
+  relay.addUser(cred.username, cred.credential);
+  const timer = setTimeout(() => {
+    relayUsers.delete(cred.username);
+    if (relay) relay.removeUser(cred.username);
+  }, ttlSec * 1000);
+  timer.unref();
+  relayUsers.set(cred.username, timer);
+  return cred;
+}
+
+// host: the name the browser used to reach us, so it can reach the relay the same way
+function stunUrls(host) {
+  const urls = config.get("ice.stunUrls").slice();
+  if (relay) urls.push(`stun:${host}:${config.get("turn.port")}`);
+  return urls;
+}
+
+// STUN only, for pages that have not signed in
+function publicIceConfig(host) {
+  const urls = stunUrls(host);
+  return { iceServers: urls.length ? [{ urls }] : [], ttl: config.get("ice.credentialTtlSec") };
+}
+
+// client: the browser's address, it gets its previous answer back while that has over half its lifetime left
+function iceConfig(host, client) {
+  const ttl = config.get("ice.credentialTtlSec");
+  const now = Date.now();
+  issued.forEach((entry, addr) => { if (entry.expiresAt <= now) issued.delete(addr); });
+  const cached = issued.get(client);
+  if (cached && cached.host === host && cached.expiresAt - now > ttl * 500) {
+    return { iceServers: cached.iceServers, ttl: Math.floor((cached.expiresAt - now) / 1000) };
+  }
+
+  const iceServers = [];
+
+  const stun = stunUrls(host);
+  if (stun.length) iceServers.push({ urls: stun });
+
+  const turnUrls = config.get("ice.turnUrls");
+  const turnSecret = config.get("ice.turnSecret");
+  if (turnUrls.length) {
+    iceServers.push(turnSecret ? { urls: turnUrls, ...restCredential(turnSecret, ttl) } : { urls: turnUrls });
+  }
+
+  const relayCred = relay && relayCredential(ttl);
+  if (relayCred) {
+    iceServers.push({ urls: [`turn:${host}:${config.get("turn.port")}?transport=udp`], ...relayCred });
+  }
+
+  if (client) issued.set(client, { host, iceServers, expiresAt: now + ttl * 1000 });
+  return { iceServers, ttl };
+}
+
+// embedded TURN/STUN relay (UDP), media goes through this machine when peers can't reach each other
+function start() {
+  if (relay) return;
+  if (config.get("turn.minPort") > config.get("turn.maxPort")) {
+    console.error("TURN relay not started: turn.minPort is above turn.maxPort");
+    return;
+  }
+  relaySecret = crypto.randomBytes(32).toString("hex");
+  relay = new Turn({
+    authMech: "long-term",
+    realm: config.get("turn.realm"),
+    listeningPort: config.get("turn.port"),
+    minPort: config.get("turn.minPort"),
+    maxPort: config.get("turn.maxPort"),
+    log: (msg) => console.log(`TURN: ${msg}`),
+  });
+  relay.start();
+  console.log(`TURN/STUN relay listening on UDP ${config.get("turn.port")}, relay ports ${config.get("turn.minPort")}-${config.get("turn.maxPort")}`);
+}
+
+function stop() {
+  if (!relay) return;
+  relayUsers.forEach(timer => clearTimeout(timer));
+  relayUsers.clear();
+  issued.clear();
+  relay.stop();
+  relay = null;
+}
+
+module.exports = {
+  iceConfig,
+  publicIceConfig,
+  start,
+  stop,
+};
@@ -0,0 +1,76 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+// size based rotation: untamed.log -> untamed.log.1 -> ... -> untamed.log.<maxFiles>
+function createRotatingFile({ file, maxBytes, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch (e) {}
+
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      const from = `${file}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.unlinkSync(file);
+    size = 0;
+  }
+
+  function write(text) {
+    const len = Buffer.byteLength(text);
+    try {
+      if (size > 0 && size + len > maxBytes) rotate();
+      fs.appendFileSync(file, text, { mode: 0o640 });
+      size += len;
+    } catch (e) {
+      // logging must never take the server down
+    }
+  }
+
+  return { file, write };
+}
+
+// mirror console output into the rotating log file, with a timestamp and level
+function install({ file, maxBytes, maxFiles }) {
+  const log = createRotatingFile({ file, maxBytes, maxFiles });
+  const levels = { log: "info", info: "info", warn: "warn", error: "error" };
+
+  for (const [method, level] of Object.entries(levels)) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      original(...args);
+      log.write(`${new Date().toISOString()} [${level}] ${util.format(...args)}\n`);
+    };
+  }
+
+  // crashes would otherwise only reach a stderr nobody reads when detached
+  process.on("uncaughtException", (err) => {
+    console.error("Fatal error:", err);
+    process.exit(1);
+  });
+
+  return log;
+}
+
+module.exports = {
+  createRotatingFile,
+  install,
+};
@@ -0,0 +1,171 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const os = require("os");
+const net = require("net");
+const createMdns = require("multicast-dns");
+const config = require("./config");
+const { getLocalAddresses, mdnsName } = require("./network");
+
+/*
+  Multicast DNS responder, so <hostname>.local resolves without Avahi/Bonjour on the box,
+  plus DNS-SD records for discovery: one _untamed._tcp and one _https._tcp instance per room.
+  TXT carries room=<id> and path=<url path of the presenter page for that room>.
+*/
+
+const SERVICE_TYPES = ["_untamed._tcp.local", "_https._tcp.local"];
+const SERVICES_META = "_services._dns-sd._udp.local";
+const HOST_TTL = 120;
+const SERVICE_TTL = 4500;
+
+let responder = null;
+let port = null;
+let roomIds = [];
+
+// instance labels can't contain dots
+function instanceName(room) {
+  const base = (config.get("mdns.name") || `Untamed on ${os.hostname()}`).replace(/\./g, "-");
+  return room === "default" ? base : `${base} (${room})`;
+}
+
+function roomPath(room) {
+  return room === "default" ? "/" : `/?room=${encodeURIComponent(room)}`;
+}
+
+function hostRecords(ttl) {
+  const name = mdnsName();
+  return Array.from(getLocalAddresses())
+    .filter(a => a !== "127.0.0.1" && a !== "::1")
+    .map(a => ({ name, type: net.isIP(a) === 6 ? "AAAA" : "A", ttl, flush: true, data: a }));
+}
+
+function instanceRecords(type, room, ttl) {
+  const fqdn = `${instanceName(room)}.${type}`;
+  return [
+    { name: fqdn, type: "SRV", ttl: ttl ? HOST_TTL : 0, flush: true, data: { port, target: mdnsName(), priority: 0, weight: 0 } },
+    { name: fqdn, type: "TXT", ttl, flush: true, data: ["txtvers=1", `room=${room}`, `path=${roomPath(room)}`] },
+  ];
+}
+
+function pointerRecords(type, ttl) {
+  return roomIds.map(room => ({ name: type, type: "PTR", ttl, data: `${instanceName(room)}.${type}` }));
+}
+
+function allRecords(ttl) {
+  const records = hostRecords(ttl ? HOST_TTL : 0);
+  SERVICE_TYPES.forEach(type => {
+    records.push({ name: SERVICES_META, type: "PTR", ttl, data: type });
+    records.push(...pointerRecords(type, ttl));
+    roomIds.forEach(room => records.push(...instanceRecords(type, room, ttl)));
+  });
+  return records;
+}
+
+function matches(question, name, type) {
+  return question.name.toLowerCase() === name.toLowerCase() && (question.type === type || question.type === "ANY");
+}
+
+function answer(question) {
+  const answers = [];
+  const additionals = [];
+  const host = mdnsName();
+
+  if (matches(question, host, "A") || matches(question, host, "AAAA")) {
+    answers.push(...hostRecords(HOST_TTL).filter(r => question.type === "ANY" || r.type === question.type));
+  }
+  if (matches(question, SERVICES_META, "PTR")) {
+    SERVICE_TYPES.forEach(type => answers.push({ name: SERVICES_META, type: "PTR", ttl: SERVICE_TTL, data: type }));
+  }
+  SERVICE_TYPES.forEach(type => {
+    if (matches(question, type, "PTR")) {
+      answers.push(...pointerRecords(type, SERVICE_TTL));
+      roomIds.forEach(room => additionals.push(...instanceRecords(type, room, SERVICE_TTL)));
+      additionals.push(...hostRecords(HOST_TTL));
+    }
+    roomIds.forEach(room => {
+      const fqdn = `${instanceName(room)}.${type}`;
+      const records = instanceRecords(type, room, SERVICE_TTL).filter(r => matches(question, fqdn, r.type));
+      if (records.length) {
+        answers.push(...records);
+        additionals.push(...hostRecords(HOST_TTL));
+      }
+    });
+  });
+  return { answers, additionals };
+}
+
+function onQuery(query) {
+  const answers = [];
+  const additionals = [];
+  query.questions.forEach(q => {
+    const r = answer(q);
+    answers.push(...r.answers);
+    additionals.push(...r.additionals);
+  });
+  if (answers.length) responder.respond({ answers, additionals });
+}
+
+// unsolicited response so browsers of the service see changes right away
+function announce() {
+  if (!responder || port === null) return;
+  responder.respond({ answers: allRecords(SERVICE_TTL) });
+}
+
+function start(options) {
+  if (responder) return;
+  port = options.port;
+  responder = createMdns();
+  responder.on("query", onQuery);
+  responder.on("warning", (err) => console.warn("mDNS warning:", err.message));
+  responder.on("error", (err) => {
+    console.error("mDNS responder failed, disabling it:", err.message);
+    stop();
+  });
+  responder.on("ready", () => {
+    console.log(`mDNS: answering for ${mdnsName()}, advertising ${SERVICE_TYPES.join(" and ")}`);
+    announce();
+    // RFC 6762 asks for the announcement to be repeated
+    setTimeout(announce, 1000).unref();
+  });
+}
+
+// the rooms to advertise, can be called before start()
+function setRooms(ids) {
+  roomIds = ids.slice();
+  announce();
+}
+
+// goodbye packets (TTL 0) so caches drop us right away
+function stop(callback) {
+  const r = responder;
+  responder = null;
+  if (!r) {
+    if (callback) callback();
+    return;
+  }
+  try {
+    r.respond({ answers: allRecords(0) }, () => r.destroy(callback));
+  } catch (e) {
+    r.destroy(callback);
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  setRooms,
+  announce,
+};
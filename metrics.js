@@ -0,0 +1,52 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+  Prometheus text exposition (format 0.0.4) for /metrics.
+  A family is { name, help, type: "gauge" | "counter", samples: [{ labels: { ... }, value }] },
+  samples whose value is not a finite number are left out.
+*/
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, v]) => v !== null && v !== undefined);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function render(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+    lines.push(`# TYPE ${family.name} ${family.type || "gauge"}`);
+    for (const sample of family.samples) {
+      if (typeof sample.value !== "number" || !isFinite(sample.value)) continue;
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  render,
+};
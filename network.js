@@ -0,0 +1,63 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const os = require("os");
+
+// normalize remote addresses
+function normalizeAddr(addr) {
+  if (!addr) return addr;
+  const pct = addr.indexOf('%');
+  if (pct !== -1) addr = addr.substring(0, pct);
+  if (addr.startsWith('::ffff:')) addr = addr.replace('::ffff:', '');
+  if (addr === '::1') addr = '127.0.0.1';
+  return addr;
+}
+
+// the client behind reverse proxies: X-Forwarded-For is read from the right and only
+// while the hop before was one of the trusted proxies, so clients can't make up an address
+function clientAddress(req, trusted) {
+  let addr = normalizeAddr(req.socket?.remoteAddress);
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map(a => normalizeAddr(a.trim())).filter(Boolean);
+  while (addr && trusted.includes(addr) && hops.length) addr = hops.pop();
+  return addr;
+}
+
+// gather local addresses
+function getLocalAddresses() {
+  const nets = os.networkInterfaces();
+  const addrs = new Set();
+  addrs.add('127.0.0.1');
+  addrs.add('::1');
+  for (const name of Object.keys(nets)) {
+    for (const net of nets[name]) {
+      const a = normalizeAddr(net.address);
+      if (a) addrs.add(a);
+    }
+  }
+  return addrs;
+}
+
+// name the display answers to over mDNS
+function mdnsName() {
+  return os.hostname() + ".local";
+}
+
+module.exports = {
+  normalizeAddr,
+  clientAddress,
+  getLocalAddresses,
+  mdnsName,
+};
@@ -17,8 +17,36 @@
 const shareBtn = document.getElementById("shareBtn");
 const localVideo = document.getElementById("localVideo");
 const bg = document.getElementById("bg");
-const reloadNotice = document.getElementById("reloadNotice");
+const reconnectNotice = document.getElementById("reconnectNotice");
 const passcodeInput = document.getElementById("passcodeInput");
+const roomLabel = document.getElementById("roomLabel");
+const queueStatus = document.getElementById("queueStatus");
+const handOffBtn = document.getElementById("handOffBtn");
+const recordingNotice = document.getElementById("recordingNotice");
+const annotationCanvas = document.getElementById("annotationCanvas");
+const qualityWrap = document.getElementById("qualityWrap");
+const qualitySelect = document.getElementById("qualitySelect");
+const rememberWrap = document.getElementById("rememberWrap");
+const rememberDevice = document.getElementById("rememberDevice");
+const statsBtn = document.getElementById("statsBtn");
+const statsOverlay = document.getElementById("statsOverlay");
+const nameWrap = document.getElementById("nameWrap");
+const nameInput = document.getElementById("nameInput");
+
+// room to present in (?room=<id>), the server falls back to "default"
+const room = (function readRoomFromUrl() {
+  try {
+    const r = new URLSearchParams(window.location.search).get("room");
+    return r ? r.trim().toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+})();
+
+if (room && roomLabel) {
+  roomLabel.textContent = `Room: ${room}`;
+  roomLabel.hidden = false;
+}
 
 (function populateCodeFromUrl() {
   try {
@@ -36,68 +64,162 @@ const passcodeInput = document.getElementById("passcodeInput");
   } catch (e) {}
 })();
 
-const wsProtocol = location.protocol === "https:" ? "wss" : "ws";
-const ws = new WebSocket(`${wsProtocol}://${location.host}`);
-
-let pc = null;
-let localStream = null;
-let streamingActive = false;
-let reloadTimer = null;
-
-const MAX_RELOAD_ATTEMPTS = 3;
-const RELOAD_KEY = "screen_stream_reload_attempts";
-const RELOAD_DELAY_MS = 800;
+// remembered device (auth.rememberDevices): a token for this room lets the browser present again without a PIN
+const DEVICE_KEY = `screen_stream_device_${room || "default"}`;
+let rememberAllowed = false;
 
-function readReloadAttempts() {
+function readDeviceToken() {
   try {
-    const v = sessionStorage.getItem(RELOAD_KEY);
-    return v ? parseInt(v, 10) || 0 : 0;
+    return localStorage.getItem(DEVICE_KEY);
   } catch {
-    return 0;
+    return null;
   }
 }
 
-function writeReloadAttempts(n) {
+function writeDeviceToken(token) {
   try {
-    sessionStorage.setItem(RELOAD_KEY, String(n));
+    if (token) localStorage.setItem(DEVICE_KEY, token);
+    else localStorage.removeItem(DEVICE_KEY);
   } catch {}
+  updateRememberUi();
+}
+
+function updateRememberUi() {
+  const remembered = rememberAllowed && !!readDeviceToken();
+  rememberWrap.hidden = !rememberAllowed || remembered;
+  passcodeInput.placeholder = remembered ? "PIN (not needed on this device)" : "Enter PIN";
 }
 
-function resetReloadAttempts() {
-  writeReloadAttempts(0);
+// host approval (approval.required): the display sees our name and device and accepts or denies us
+const NAME_KEY = "screen_stream_name";
+let approvalRequired = false;
+let awaitingApproval = false;
+
+try {
+  nameInput.value = localStorage.getItem(NAME_KEY) || "";
+} catch {}
+
+fetch("/client-config", { cache: "no-store" })
+  .then(r => r.json())
+  .then(cfg => {
+    rememberAllowed = !!cfg.rememberDevices;
+    approvalRequired = !!cfg.approval;
+    nameWrap.hidden = !approvalRequired;
+    updateRememberUi();
+  })
+  .catch(() => {});
+
+function waitText(ms) {
+  const s = Math.ceil((ms || 0) / 1000);
+  return s < 90 ? `${s} seconds` : `${Math.ceil(s / 60)} minutes`;
 }
 
-function scheduleReload(reason) {
-  if (!streamingActive) return;
+const wsProtocol = location.protocol === "https:" ? "wss" : "ws";
+const wsUrl = `${wsProtocol}://${location.host}`;
+let ws = null;
 
-  const attempts = readReloadAttempts();
-  if (attempts >= MAX_RELOAD_ATTEMPTS) {
-    reloadNotice.style.display = "block";
-    return;
-  }
+let pc = null;
+let localStream = null;
+let streamingActive = false;
+// set once the server gave us the presenter slot (passcode or queue promotion)
+let accepted = false;
+let queued = false;
+let waitingCount = 0;
+// takes the presenter slot back after the connection to the server dropped, renewed on every resume
+let sessionToken = null;
+
+// Reconnection: the WebSocket is reopened with backoff and the slot resumed with the session token,
+// the peer connection recovers with an ICE restart. The screen capture is kept throughout
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 8000;
+const ICE_RESTART_DELAY_MS = 2000; // "disconnected" often recovers on its own
+let reconnectDelay = RECONNECT_MIN_MS;
+let iceRestartTimer = null;
+
+function setReconnecting(text) {
+  reconnectNotice.textContent = text || "";
+  reconnectNotice.style.display = text ? "block" : "none";
+}
+
+function socketOpen() {
+  return ws && ws.readyState === WebSocket.OPEN;
+}
 
-  if (reloadTimer) return;
+function connectSocket() {
+  ws = new WebSocket(wsUrl);
 
-  writeReloadAttempts(attempts + 1);
+  ws.onopen = () => {
+    reconnectDelay = RECONNECT_MIN_MS;
+    if (sessionToken) ws.send(JSON.stringify({ type: "resume", room, token: sessionToken }));
+  };
 
-  reloadTimer = setTimeout(() => {
-    if (!streamingActive) {
-      clearReloadTimer();
-      return;
+  ws.onmessage = handleMessage;
+
+  ws.onclose = () => {
+    if (sessionToken) {
+      setReconnecting("Connection lost, reconnecting…");
+    } else if (queued) {
+      queued = false;
+      shareBtn.disabled = false;
+      setQueueStatus("Connection lost, you left the line. Press Start Streaming to queue again.");
+    } else if (awaitingApproval) {
+      awaitingApproval = false;
+      shareBtn.disabled = false;
+      setQueueStatus("Connection lost while waiting for the display. Press Start Streaming to ask again.");
     }
-    window.location.reload();
-  }, RELOAD_DELAY_MS);
+    setTimeout(connectSocket, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+  };
+}
+
+// new ICE candidates on the same peer connection, the host keeps the stream and its tile
+async function restartIce() {
+  clearTimeout(iceRestartTimer);
+  // without the socket it happens once the slot is resumed
+  if (!pc || !socketOpen()) return;
+  if (pc.connectionState === "connected") {
+    setReconnecting("");
+    return;
+  }
+  try {
+    await loadIceConfig();
+    pc.setConfiguration({ ...pc.getConfiguration(), iceServers: iceConfig.iceServers });
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    ws.send(JSON.stringify({ type: "offer", to: "host", offer }));
+  } catch (e) {
+    console.warn("ICE restart failed, starting a new connection", e);
+    sendOfferToHost();
+  }
+}
+
+// STUN servers from /ice-config until signed in, then STUN/TURN from the server over the socket;
+// TURN credentials expire so they are renewed when stale
+let iceConfig = { iceServers: [], expiresAt: 0 };
+
+function setIceConfig(data) {
+  iceConfig = { iceServers: data.iceServers || [], expiresAt: Date.now() + data.ttl * 1000 };
 }
 
-function clearReloadTimer() {
-  if (reloadTimer) {
-    clearTimeout(reloadTimer);
-    reloadTimer = null;
+async function loadIceConfig() {
+  if (iceConfig.expiresAt - Date.now() > 60 * 1000) return;
+  if (accepted) {
+    if (socketOpen()) ws.send(JSON.stringify({ type: "iceConfig" }));
+    return;
+  }
+  try {
+    const res = await fetch("/ice-config", { cache: "no-store" });
+    setIceConfig(await res.json());
+  } catch (e) {
+    console.warn("Could not load ICE config, connecting directly only", e);
   }
 }
 
+loadIceConfig();
+setInterval(loadIceConfig, 60 * 1000);
+
 function createClientPC() {
-  const _pc = new RTCPeerConnection();
+  const _pc = new RTCPeerConnection({ iceServers: iceConfig.iceServers });
 
   _pc.onicecandidate = (ev) => {
     if (ev.candidate) {
@@ -106,33 +228,52 @@ function createClientPC() {
   };
 
   _pc.onconnectionstatechange = () => {
-    if (_pc.connectionState === "failed" || _pc.connectionState === "disconnected") {
-      scheduleReload("pc.connectionState");
-    }
-  };
-
-  _pc.oniceconnectionstatechange = () => {
-    if (["failed", "disconnected", "closed"].includes(_pc.iceConnectionState)) {
-      scheduleReload("pc.iceConnectionState");
+    if (_pc !== pc) return;
+    const state = _pc.connectionState;
+    if (state === "connected") {
+      clearTimeout(iceRestartTimer);
+      if (socketOpen()) setReconnecting("");
+    } else if (state === "disconnected") {
+      setReconnecting("Connection lost, reconnecting…");
+      clearTimeout(iceRestartTimer);
+      iceRestartTimer = setTimeout(restartIce, ICE_RESTART_DELAY_MS);
+    } else if (state === "failed") {
+      setReconnecting("Connection lost, reconnecting…");
+      restartIce();
     }
   };
 
-  _pc.onerror = () => {
-    scheduleReload("pc.onerror");
-  };
-
   return _pc;
 }
 
+// one offer at a time: a second request while one is being made would give the host two peer connections
+let offering = null;
+
 async function sendOfferToHost() {
+  if (offering) return offering;
+  offering = makeOffer();
+  try {
+    await offering;
+  } finally {
+    offering = null;
+  }
+}
+
+async function makeOffer() {
   if (!localStream) return;
 
   if (pc) {
     try { pc.close(); } catch {}
   }
 
+  await loadIceConfig();
   pc = createClientPC();
-  localStream.getTracks().forEach(t => pc.addTrack(t, localStream));
+  lastStats = null;
+  localStream.getTracks().forEach(t => {
+    const sender = pc.addTrack(t, localStream);
+    if (t.kind === "video") preferCodec(pc.getTransceivers().find(tr => tr.sender === sender));
+  });
+  openAnnotationChannel(pc);
 
   const offer = await pc.createOffer();
   await pc.setLocalDescription(offer);
@@ -143,23 +284,146 @@ async function sendOfferToHost() {
   localVideo.style.display = "block";
 }
 
-ws.onmessage = async (evt) => {
+async function handleMessage(evt) {
   let data;
   try { data = JSON.parse(evt.data); } catch { return; }
 
   if (data.type === "authFailed") {
-    alert("Passcode rejected by server");
+    if (data.reason === "unknown_room") {
+      alert("This room does not exist.");
+    } else if (data.reason === "unknown_device") {
+      writeDeviceToken(null);
+      alert("This device is no longer remembered, please enter the PIN.");
+    } else if (data.reason === "locked_out") {
+      alert(`Too many wrong PINs from this device. Try again in ${waitText(data.retryAfterMs)}.`);
+    } else if (data.reason === "rate_limited") {
+      alert(`Too many attempts, please wait ${waitText(data.retryAfterMs)} and try again.`);
+    } else {
+      alert("Passcode rejected by server");
+    }
     return;
   }
 
   if (data.type === "clientAccepted") {
+    accepted = true;
+    queued = false;
+    awaitingApproval = false;
+    sessionToken = data.sessionToken || null;
+    if (data.ice) setIceConfig(data.ice);
+    if (data.deviceToken) writeDeviceToken(data.deviceToken);
+    if (data.quality) setQualityPolicy(data.quality);
+    if (Number.isFinite(data.statsReportMs)) statsReportMs = data.statsReportMs;
+    recordingNotice.hidden = !data.recording;
+    setQueueStatus("");
+    if (data.promoted && !hasLiveCapture()) {
+      // capture needs a fresh user gesture after waiting in line
+      setQueueStatus("It's your turn! Press Start Streaming to share your screen.");
+      shareBtn.disabled = false;
+      return;
+    }
     await startCaptureAndOfferAfterAuth();
     return;
   }
 
+  if (data.type === "resumed") {
+    sessionToken = data.sessionToken;
+    if (data.ice) setIceConfig(data.ice);
+    if (data.quality) setQualityPolicy(data.quality);
+    if (Number.isFinite(data.statsReportMs)) statsReportMs = data.statsReportMs;
+    recordingNotice.hidden = !data.recording;
+    if (!data.hostConnected) {
+      setReconnecting("Waiting for the display to reconnect…");
+      return;
+    }
+    restartIce();
+    if (!pc) setReconnecting("");
+    return;
+  }
+
+  // away for longer than the server waits: the slot is gone, the capture is kept for the next PIN
+  if (data.type === "resumeFailed") {
+    sessionToken = null;
+    accepted = false;
+    streamingActive = false;
+    closePeerConnection();
+    setReconnecting("");
+    setQueueStatus("The connection was lost for too long. Enter the current PIN and press Start Streaming to continue.");
+    shareBtn.disabled = false;
+    updateHandOffButton();
+    renderStats();
+    return;
+  }
+
+  if (data.type === "awaitingApproval") {
+    awaitingApproval = true;
+    shareBtn.disabled = true;
+    setQueueStatus("Waiting for the display to accept you…");
+    return;
+  }
+
+  // the capture picked for the request is dropped, the next request asks again
+  if (data.type === "approvalDenied") {
+    awaitingApproval = false;
+    stopStreaming();
+    setQueueStatus(data.reason === "timeout"
+      ? "Nobody at the display answered in time. Press Start Streaming to ask again."
+      : "The display declined your request.");
+    return;
+  }
+
+  if (data.type === "queued") {
+    awaitingApproval = false;
+    queued = true;
+    shareBtn.disabled = true;
+    setQueueStatus(`The screen is in use. You are number ${data.position} in line.`);
+    return;
+  }
+
+  if (data.type === "queueUpdated") {
+    waitingCount = data.waiting || 0;
+    updateHandOffButton();
+    return;
+  }
+
+  if (data.type === "handedOff") {
+    stopStreaming();
+    setQueueStatus("You handed off the screen to the next presenter.");
+    return;
+  }
+
+  if (data.type === "kicked") {
+    stopStreaming();
+    setQueueStatus("Your presentation was ended by the operator.");
+    return;
+  }
+
+  if (data.type === "handOffFailed") {
+    alert("Nobody is waiting to present.");
+    return;
+  }
+
   if (data.type === "answer") {
-    if (!pc) pc = createClientPC();
-    await pc.setRemoteDescription(data.answer);
+    if (!pc) return;
+    try {
+      await pc.setRemoteDescription(data.answer);
+    } catch (e) {
+      // e.g. the display was reloaded and answered a restart with a new connection
+      console.warn("Could not apply the answer, starting a new connection", e);
+      sendOfferToHost();
+      return;
+    }
+    applyQuality();
+    return;
+  }
+
+  if (data.type === "qualityUpdated") {
+    setQualityPolicy(data.quality);
+    applyQuality();
+    return;
+  }
+
+  if (data.type === "statsConfig") {
+    statsReportMs = data.reportIntervalMs;
     return;
   }
 
@@ -170,38 +434,90 @@ ws.onmessage = async (evt) => {
     return;
   }
 
+  if (data.type === "iceConfig") {
+    setIceConfig(data);
+    return;
+  }
+
+  // iceRestart: the display kept our peer connection through its reconnect
   if (data.type === "requestOffer") {
-    sendOfferToHost();
+    if (data.iceRestart && pc && pc.signalingState !== "closed") restartIce();
+    else sendOfferToHost();
     return;
   }
 
   if (data.type === "hostDisconnected") {
-    scheduleReload("hostDisconnected");
+    if (streamingActive) setReconnecting("Waiting for the display to reconnect…");
+    return;
   }
 
   if (data.type === "streamConflict") {
-    alert("Host already has an active stream.");
+    alert("Host already has an active stream and the queue is full.");
   }
-};
+}
 
-ws.onerror = () => {
-  if (streamingActive) scheduleReload("ws.onerror");
-};
+connectSocket();
 
-ws.onclose = () => {
-  if (streamingActive) scheduleReload("ws.onclose");
-};
+function setQueueStatus(text) {
+  queueStatus.textContent = text;
+  queueStatus.style.display = text ? "block" : "none";
+}
+
+function closePeerConnection() {
+  clearTimeout(iceRestartTimer);
+  try {
+    if (pc) pc.close();
+  } catch {}
+  pc = null;
+  clearAnnotations();
+}
+
+// drop our capture and peer connection, e.g. after handing off the screen
+function stopStreaming() {
+  streamingActive = false;
+  accepted = false;
+  sessionToken = null;
+  setReconnecting("");
+  try {
+    if (localStream) localStream.getTracks().forEach(t => t.stop());
+  } catch {}
+  localStream = null;
+  closePeerConnection();
+  localVideo.srcObject = null;
+  localVideo.style.display = "none";
+  shareBtn.disabled = false;
+  updateHandOffButton();
+  renderStats();
+}
+
+function updateHandOffButton() {
+  handOffBtn.textContent = `Hand off to next presenter (${waitingCount} waiting)`;
+  handOffBtn.style.display = waitingCount > 0 && streamingActive ? "inline-block" : "none";
+}
+
+function hasLiveCapture() {
+  return !!localStream && localStream.getVideoTracks().some(t => t.readyState === "live");
+}
+
+// a capture that outlived a lost slot, or was picked before asking for approval, is shared again without asking
+async function captureScreen() {
+  if (hasLiveCapture()) return;
+  localStream = await navigator.mediaDevices.getDisplayMedia({ video: videoConstraints(effectiveQuality()), audio: true });
+  localStream.getVideoTracks().forEach(t => { t.contentHint = effectiveQuality().contentHint; });
+  // sharing stopped from the browser's own controls
+  localStream.getVideoTracks().forEach(track => {
+    track.onended = () => leavePresentation("You stopped sharing your screen.");
+  });
+}
 
 async function startCaptureAndOfferAfterAuth() {
   try {
-    localStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
-    resetReloadAttempts();
-    reloadNotice.style.display = "none";
+    await captureScreen();
+    setReconnecting("");
+    setQueueStatus("");
     streamingActive = true;
-
-    localStream.getTracks().forEach(track => {
-      track.onended = () => scheduleReload("track.onended");
-    });
+    updateHandOffButton();
+    renderStats();
 
     localVideo.srcObject = localStream;
     localVideo.style.display = "block";
@@ -213,21 +529,249 @@ async function startCaptureAndOfferAfterAuth() {
   }
 }
 
-shareBtn.onclick = () => {
+shareBtn.onclick = async () => {
+  if (accepted) {
+    if (!streamingActive) startCaptureAndOfferAfterAuth();
+    return;
+  }
+
   const passcode = (passcodeInput.value || "").trim();
-  if (!/^\d{6}$/.test(passcode)) {
+  const deviceToken = rememberAllowed ? readDeviceToken() : null;
+  if (!/^\d{6}$/.test(passcode) && !deviceToken) {
     alert("Please enter the 6-digit passcode.");
     passcodeInput.focus();
     return;
   }
 
+  const name = nameInput.value.trim();
+  if (approvalRequired) {
+    if (!name) {
+      alert("Please enter your name so the display knows who is asking.");
+      nameInput.focus();
+      return;
+    }
+    try {
+      localStorage.setItem(NAME_KEY, name);
+    } catch {}
+    // pick the screen while this click still counts as a user gesture, approval can take a while
+    try {
+      await captureScreen();
+    } catch {
+      alert("Failed to start streaming. Make sure you allowed screen sharing and are on HTTPS.");
+      return;
+    }
+  }
+
   try {
-    ws.send(JSON.stringify({ type: "client", passcode }));
+    ws.send(JSON.stringify({ type: "client", passcode, room, deviceToken, remember: rememberDevice.checked, name }));
   } catch {
     alert("Unable to contact server.");
   }
 };
 
+// quality presets: capture constraints, contentHint and encoder settings per kind of content.
+// The server sends the room's policy: the default preset, whether presenters may pick, the codec and caps
+const QUALITY_PRESETS = {
+  text: { width: 2560, height: 1440, frameRate: 5, contentHint: "text", degradationPreference: "maintain-resolution", maxBitrateKbps: 2500 },
+  balanced: { width: 1920, height: 1080, frameRate: 30, contentHint: "detail", degradationPreference: "balanced", maxBitrateKbps: 4000 },
+  video: { width: 1920, height: 1080, frameRate: 60, contentHint: "motion", degradationPreference: "maintain-framerate", maxBitrateKbps: 8000 },
+};
+const QUALITY_KEY = "screen_stream_quality";
+const CODEC_MIME_TYPES = { h264: "video/h264", vp9: "video/vp9", av1: "video/av1", vp8: "video/vp8" };
+
+let qualityPolicy = { defaultPreset: "balanced", presenterChoice: true, codec: "h264", caps: {} };
+// the presenter picked a preset here before, otherwise the room's default is shown
+let qualityChosen = false;
+
+try {
+  const stored = localStorage.getItem(QUALITY_KEY);
+  if (QUALITY_PRESETS[stored]) {
+    qualitySelect.value = stored;
+    qualityChosen = true;
+  }
+} catch {}
+
+function setQualityPolicy(policy) {
+  qualityPolicy = policy;
+  qualityWrap.style.display = policy.presenterChoice ? "block" : "none";
+  if (!policy.presenterChoice || !qualityChosen) qualitySelect.value = policy.defaultPreset;
+}
+
+// the preset with the room's caps applied
+function effectiveQuality() {
+  const name = qualityPolicy.presenterChoice ? qualitySelect.value : qualityPolicy.defaultPreset;
+  const preset = QUALITY_PRESETS[name] || QUALITY_PRESETS.balanced;
+  const caps = qualityPolicy.caps || {};
+  const cap = (value, limit) => limit ? Math.min(value, limit) : value;
+  const height = cap(preset.height, caps.maxHeight);
+  return {
+    ...preset,
+    width: Math.round(preset.width * height / preset.height),
+    height,
+    frameRate: cap(preset.frameRate, caps.maxFrameRate),
+    maxBitrateKbps: cap(preset.maxBitrateKbps, caps.maxBitrateKbps),
+  };
+}
+
+function videoConstraints(q) {
+  return { width: { max: q.width }, height: { max: q.height }, frameRate: { ideal: q.frameRate, max: q.frameRate } };
+}
+
+// codec order is only read when offering, a change applies from the next connection
+function preferCodec(transceiver) {
+  if (!transceiver || !transceiver.setCodecPreferences || !window.RTCRtpReceiver || !RTCRtpReceiver.getCapabilities) return;
+  const mimeType = CODEC_MIME_TYPES[qualityPolicy.codec];
+  const codecs = RTCRtpReceiver.getCapabilities("video").codecs;
+  const preferred = codecs.filter(c => c.mimeType.toLowerCase() === mimeType);
+  if (!preferred.length) return;
+  try {
+    transceiver.setCodecPreferences(preferred.concat(codecs.filter(c => !preferred.includes(c))));
+  } catch (e) {
+    console.warn("Could not set codec preference", e);
+  }
+}
+
+// constraints and content hint on the track, bitrate, frame rate and scaling on the encoder
+async function applyQuality() {
+  const track = localStream && localStream.getVideoTracks()[0];
+  if (!track) return;
+  const q = effectiveQuality();
+  track.contentHint = q.contentHint;
+  try {
+    await track.applyConstraints(videoConstraints(q));
+  } catch (e) {
+    console.warn("Could not apply capture constraints", e);
+  }
+
+  const sender = pc && pc.getSenders().find(s => s.track === track);
+  if (!sender) return;
+  const params = sender.getParameters();
+  if (!params.encodings || !params.encodings.length) params.encodings = [{}];
+  // browsers that ignore the capture constraints still get scaled down to the cap
+  const height = track.getSettings().height || q.height;
+  params.encodings.forEach(enc => {
+    enc.maxBitrate = q.maxBitrateKbps * 1000;
+    enc.maxFramerate = q.frameRate;
+    enc.scaleResolutionDownBy = Math.max(1, height / q.height);
+  });
+  params.degradationPreference = q.degradationPreference;
+  try {
+    await sender.setParameters(params);
+  } catch (e) {
+    console.warn("Could not apply encoding parameters", e);
+  }
+}
+
+qualitySelect.addEventListener("change", () => {
+  qualityChosen = true;
+  try { localStorage.setItem(QUALITY_KEY, qualitySelect.value); } catch {}
+  applyQuality();
+});
+
+// connection statistics: polled every second while shown, reported to the server every stats.reportIntervalMs
+const STATS_POLL_MS = 1000;
+let statsReportMs = 5000;
+let statsVisible = false;
+let statsBusy = false;
+let lastStats = null;
+let lastStatsReport = 0;
+
+async function pollStats() {
+  const report = statsReportMs > 0 && Date.now() - lastStatsReport >= statsReportMs;
+  if (statsBusy || !pc || !streamingActive || (!statsVisible && !report)) return;
+  statsBusy = true;
+  try {
+    lastStats = await RtcStats.collect(pc, lastStats);
+    statsOverlay.textContent = RtcStats.format(lastStats);
+    if (report) {
+      lastStatsReport = Date.now();
+      ws.send(JSON.stringify({ type: "stats", stats: lastStats }));
+    }
+  } catch {}
+  statsBusy = false;
+}
+
+function renderStats() {
+  statsBtn.style.display = streamingActive ? "inline-block" : "none";
+  statsBtn.textContent = statsVisible ? "Hide connection stats" : "Show connection stats";
+  statsOverlay.style.display = statsVisible && streamingActive ? "block" : "none";
+}
+
+statsBtn.addEventListener("click", () => {
+  statsVisible = !statsVisible;
+  renderStats();
+  pollStats();
+});
+
+setInterval(pollStats, STATS_POLL_MS);
+
+// annotations: the host draws on the presented screen and sends the strokes over a data channel,
+// coordinates are fractions of the video so they line up with the preview at any size
+let annotationStrokes = [];
+let annotationFrame = null;
+
+function openAnnotationChannel(_pc) {
+  clearAnnotations();
+  const channel = _pc.createDataChannel("annotations");
+  channel.onmessage = (ev) => {
+    let msg;
+    try { msg = JSON.parse(ev.data); } catch { return; }
+    handleAnnotation(msg);
+  };
+}
+
+function handleAnnotation(msg) {
+  if (msg.type === "begin") {
+    annotationStrokes.push({ id: msg.id, color: msg.color, width: msg.width, points: [[msg.x, msg.y]] });
+  } else if (msg.type === "extend") {
+    const stroke = annotationStrokes.find(s => s.id === msg.id);
+    if (stroke && Array.isArray(msg.points)) stroke.points.push(...msg.points);
+  } else if (msg.type === "undo") {
+    annotationStrokes.pop();
+  } else if (msg.type === "clear") {
+    annotationStrokes = [];
+  } else {
+    return;
+  }
+  drawAnnotations();
+}
+
+function clearAnnotations() {
+  annotationStrokes = [];
+  drawAnnotations();
+}
+
+function drawAnnotations() {
+  if (annotationFrame) return;
+  annotationFrame = requestAnimationFrame(() => {
+    annotationFrame = null;
+    const dpr = window.devicePixelRatio || 1;
+    const w = annotationCanvas.clientWidth;
+    const h = annotationCanvas.clientHeight;
+    annotationCanvas.width = Math.max(1, Math.round(w * dpr));
+    annotationCanvas.height = Math.max(1, Math.round(h * dpr));
+    const ctx = annotationCanvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    annotationStrokes.forEach(s => {
+      ctx.strokeStyle = s.color;
+      ctx.lineWidth = Math.max(1, s.width * h);
+      ctx.beginPath();
+      s.points.forEach(([x, y], i) => {
+        if (i === 0) ctx.moveTo(x * w, y * h);
+        else ctx.lineTo(x * w, y * h);
+      });
+      if (s.points.length === 1) ctx.lineTo(s.points[0][0] * w + 0.1, s.points[0][1] * h);
+      ctx.stroke();
+    });
+  });
+}
+
+localVideo.addEventListener("resize", drawAnnotations);
+window.addEventListener("resize", drawAnnotations);
+
 const RANGE_X = 8;
 const RANGE_Y = 6;
 
@@ -258,11 +802,19 @@ window.addEventListener("resize", () => {
   bg.style.objectPosition = "50% 50%";
 });
 
-window.addEventListener("beforeunload", () => {
-  streamingActive = false;
-  clearReloadTimer();
+handOffBtn.onclick = () => {
   try {
-    if (localStream) localStream.getTracks().forEach(t => t.stop());
-    if (pc) pc.close();
-  } catch {}
-});
+    ws.send(JSON.stringify({ type: "handOff" }));
+  } catch {
+    alert("Unable to contact server.");
+  }
+};
+
+// give the slot up right away instead of after reconnect.graceMs
+function leavePresentation(text) {
+  if (sessionToken && socketOpen()) ws.send(JSON.stringify({ type: "leave" }));
+  stopStreaming();
+  if (text) setQueueStatus(text);
+}
+
+window.addEventListener("beforeunload", () => leavePresentation());
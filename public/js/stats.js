@@ -0,0 +1,103 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+  Connection statistics from RTCPeerConnection.getStats(), shared by the host and presenter pages.
+  RtcStats.collect(pc, previous) resolves to a summary of the video stream:
+    { direction, bitrateKbps, fps, width, height, packetsLost, lossPct, jitterMs, rttMs,
+      codec, localCandidate, remoteCandidate }
+  Rates are computed against the previous summary of the same connection.
+*/
+(function () {
+  function pickLargest(list, bytesKey) {
+    return list.reduce((best, s) => (!best || (s[bytesKey] || 0) > (best[bytesKey] || 0) ? s : best), null);
+  }
+
+  function round(n, digits) {
+    if (typeof n !== "number" || !isFinite(n)) return null;
+    const f = Math.pow(10, digits || 0);
+    return Math.round(n * f) / f;
+  }
+
+  async function collect(pc, previous) {
+    const report = await pc.getStats();
+    const stats = [];
+    report.forEach(s => stats.push(s));
+    const byId = (id) => (id ? report.get(id) : null);
+
+    const inbound = pickLargest(stats.filter(s => s.type === "inbound-rtp" && s.kind === "video"), "bytesReceived");
+    const outbound = pickLargest(stats.filter(s => s.type === "outbound-rtp" && s.kind === "video"), "bytesSent");
+    const rtp = inbound || outbound;
+    const now = Date.now();
+    const summary = { direction: inbound ? "in" : outbound ? "out" : null, timestamp: now };
+
+    if (rtp) {
+      const bytes = inbound ? inbound.bytesReceived : outbound.bytesSent;
+      summary.bytes = bytes;
+      if (previous && previous.bytes !== undefined && now > previous.timestamp) {
+        summary.bitrateKbps = round(Math.max(0, bytes - previous.bytes) * 8 / (now - previous.timestamp), 0);
+      }
+      summary.fps = round(rtp.framesPerSecond, 1);
+      summary.width = rtp.frameWidth || null;
+      summary.height = rtp.frameHeight || null;
+      const codec = byId(rtp.codecId);
+      summary.codec = codec ? codec.mimeType.replace(/^video\//i, "") : null;
+    }
+
+    // loss and jitter: measured here when receiving, reported back by the receiver when sending
+    const lossSource = inbound || stats.find(s => s.type === "remote-inbound-rtp" && s.kind === "video");
+    if (lossSource) {
+      summary.packetsLost = Math.max(0, lossSource.packetsLost || 0);
+      summary.jitterMs = round((lossSource.jitter || 0) * 1000, 1);
+      if (inbound) {
+        summary.packetsReceived = inbound.packetsReceived || 0;
+        const lost = summary.packetsLost - (previous && previous.packetsLost || 0);
+        const received = summary.packetsReceived - (previous && previous.packetsReceived || 0);
+        summary.lossPct = lost + received > 0 ? round(100 * Math.max(0, lost) / (lost + received), 2) : 0;
+      } else if (typeof lossSource.fractionLost === "number") {
+        summary.lossPct = round(lossSource.fractionLost * 100, 2);
+      }
+    }
+
+    const transport = stats.find(s => s.type === "transport" && s.selectedCandidatePairId);
+    const pair = transport
+      ? byId(transport.selectedCandidatePairId)
+      : stats.find(s => s.type === "candidate-pair" && s.nominated && s.state === "succeeded");
+    if (pair) {
+      if (typeof pair.currentRoundTripTime === "number") summary.rttMs = round(pair.currentRoundTripTime * 1000, 1);
+      const local = byId(pair.localCandidateId);
+      const remote = byId(pair.remoteCandidateId);
+      summary.localCandidate = local ? local.candidateType : null;
+      summary.remoteCandidate = remote ? remote.candidateType : null;
+    }
+    return summary;
+  }
+
+  function format(s) {
+    if (!s) return "no statistics yet";
+    const dash = (v, unit) => (v === null || v === undefined ? "-" : `${v}${unit || ""}`);
+    return [
+      `${s.direction === "in" ? "receiving" : "sending"} ${dash(s.codec)}`,
+      `${s.width && s.height ? `${s.width}x${s.height}` : "-"} @ ${dash(s.fps, " fps")}`,
+      `bitrate ${s.bitrateKbps === undefined ? "-" : (s.bitrateKbps / 1000).toFixed(2) + " Mbps"}`,
+      `loss ${dash(s.lossPct, "%")} (${dash(s.packetsLost)} packets), jitter ${dash(s.jitterMs, " ms")}`,
+      `rtt ${dash(s.rttMs, " ms")}, path ${dash(s.localCandidate)} -> ${dash(s.remoteCandidate)}`
+    ].join("\n");
+  }
+
+  window.RtcStats = { collect, format };
+})();
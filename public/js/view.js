@@ -0,0 +1,199 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const joinForm = document.getElementById("joinForm");
+const passcodeInput = document.getElementById("passcodeInput");
+const watchBtn = document.getElementById("watchBtn");
+const roomLabel = document.getElementById("roomLabel");
+const viewerStatus = document.getElementById("viewerStatus");
+const remoteVideo = document.getElementById("remoteVideo");
+const viewerControls = document.getElementById("viewerControls");
+const unmuteBtn = document.getElementById("unmuteBtn");
+const fullscreenBtn = document.getElementById("fullscreenBtn");
+
+const params = new URLSearchParams(window.location.search);
+// room to watch (?room=<id>), the server falls back to "default"
+const room = (params.get("room") || "").trim().toLowerCase() || null;
+if (room) {
+  roomLabel.textContent = `Room: ${room}`;
+  roomLabel.hidden = false;
+}
+if (params.get("code")) passcodeInput.value = params.get("code");
+
+const wsProtocol = location.protocol === "https:" ? "wss" : "ws";
+const ws = new WebSocket(`${wsProtocol}://${location.host}`);
+
+let pc = null;
+let iceServers = [];
+let iceExpiresAt = 0;
+let watching = false;
+
+function setStatus(text) {
+  viewerStatus.textContent = text;
+}
+
+function showVideo(visible) {
+  remoteVideo.style.display = visible ? "block" : "none";
+  viewerControls.style.display = visible ? "block" : "none";
+}
+
+function setIceConfig(data) {
+  iceServers = data.iceServers || [];
+  iceExpiresAt = Date.now() + data.ttl * 1000;
+}
+
+// STUN only before joining, STUN/TURN comes with viewerAccepted and is renewed over the socket
+async function loadIceConfig() {
+  try {
+    const res = await fetch("/ice-config", { cache: "no-store" });
+    setIceConfig(await res.json());
+  } catch (e) {
+    console.warn("Could not load ICE config, connecting directly only", e);
+  }
+}
+
+setInterval(() => {
+  if (watching && ws.readyState === WebSocket.OPEN && iceExpiresAt - Date.now() < 2 * 60 * 1000) {
+    ws.send(JSON.stringify({ type: "iceConfig" }));
+  }
+}, 60 * 1000);
+
+function closePC() {
+  if (!pc) return;
+  try { pc.close(); } catch {}
+  pc = null;
+}
+
+function waiting() {
+  closePC();
+  remoteVideo.srcObject = null;
+  showVideo(false);
+  setStatus("Waiting for someone to present…");
+}
+
+// the host offers, we only ever receive
+async function handleOffer(offer) {
+  closePC();
+  pc = new RTCPeerConnection({ iceServers });
+  pc.ontrack = (ev) => {
+    remoteVideo.srcObject = ev.streams && ev.streams[0] ? ev.streams[0] : new MediaStream([ev.track]);
+    remoteVideo.play().catch(() => {});
+    showVideo(true);
+    setStatus("");
+  };
+  pc.onicecandidate = (ev) => {
+    if (ev.candidate) ws.send(JSON.stringify({ type: "candidate", candidate: ev.candidate }));
+  };
+  pc.onconnectionstatechange = () => {
+    if (pc && pc.connectionState === "failed") waiting();
+  };
+  await pc.setRemoteDescription(offer);
+  await pc.setLocalDescription(await pc.createAnswer());
+  ws.send(JSON.stringify({ type: "answer", answer: pc.localDescription }));
+}
+
+joinForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const passcode = passcodeInput.value.trim();
+  if (!/^\d{6}$/.test(passcode)) {
+    alert("Please enter the 6-digit code shown on the display.");
+    return;
+  }
+  watchBtn.disabled = true;
+  await loadIceConfig();
+  ws.send(JSON.stringify({ type: "viewer", room, passcode }));
+});
+
+ws.onmessage = async (evt) => {
+  let data;
+  try { data = JSON.parse(evt.data); } catch { return; }
+
+  if (data.type === "authFailed") {
+    watchBtn.disabled = false;
+    const reasons = {
+      unknown_room: "This room does not exist.",
+      viewers_disabled: "Watching is turned off for this display.",
+      viewers_full: "Too many people are watching already, try again later.",
+      rate_limited: "Too many attempts, please wait a moment and try again.",
+      locked_out: `Too many wrong codes from this device. Try again in ${Math.ceil((data.retryAfterMs || 0) / 60000)} minutes.`,
+    };
+    alert(reasons[data.reason] || "Code rejected by server");
+    return;
+  }
+
+  if (data.type === "viewerAccepted") {
+    watching = true;
+    if (data.ice) setIceConfig(data.ice);
+    joinForm.style.display = "none";
+    waiting();
+    if (data.streaming) setStatus("Connecting…");
+    return;
+  }
+
+  if (data.type === "iceConfig") {
+    setIceConfig(data);
+    return;
+  }
+
+  if (data.type === "offer") {
+    try {
+      await handleOffer(data.offer);
+    } catch (err) {
+      console.warn("Could not answer the host", err);
+      waiting();
+    }
+    return;
+  }
+
+  if (data.type === "candidate" && data.candidate && pc) {
+    try { await pc.addIceCandidate(new RTCIceCandidate(data.candidate)); } catch {}
+    return;
+  }
+
+  if (data.type === "streamEnded") {
+    waiting();
+    return;
+  }
+
+  if (data.type === "hostDisconnected") {
+    waiting();
+    setStatus("The display went offline, waiting for it to come back…");
+    return;
+  }
+
+  if (data.type === "viewersDisabled") {
+    closePC();
+    showVideo(false);
+    setStatus("Watching was turned off for this display.");
+  }
+};
+
+ws.onclose = () => {
+  closePC();
+  showVideo(false);
+  setStatus("Disconnected from the server. Reload the page to watch again.");
+};
+
+// browsers only autoplay muted video, sound needs a tap
+unmuteBtn.addEventListener("click", () => {
+  remoteVideo.muted = !remoteVideo.muted;
+  unmuteBtn.textContent = remoteVideo.muted ? "Unmute" : "Mute";
+});
+
+fullscreenBtn.addEventListener("click", () => {
+  if (remoteVideo.requestFullscreen) remoteVideo.requestFullscreen();
+  else if (remoteVideo.webkitEnterFullscreen) remoteVideo.webkitEnterFullscreen();
+});
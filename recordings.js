@@ -0,0 +1,221 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+
+/*
+  Recordings of presented streams. The host page records the incoming stream with
+  MediaRecorder and uploads the chunks in order; every session is <id>.webm plus
+  <id>.json with { id, room, presenterIp, startedAt, endedAt, durationMs, bytes, mimeType }.
+  Retention (recording.maxAgeDays, recording.maxTotalBytes) drops the oldest finished ones.
+*/
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,80}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecordingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "RecordingError";
+    this.code = code; // unknown_recording, out_of_order, finished, too_large
+  }
+}
+
+const active = new Map(); // id -> meta of sessions still being uploaded
+
+function dir() {
+  return path.resolve(__dirname, config.get("recording.dir"));
+}
+
+function filePath(id) {
+  return path.join(dir(), `${id}.webm`);
+}
+
+function metaPath(id) {
+  return path.join(dir(), `${id}.json`);
+}
+
+function writeMeta(meta) {
+  fs.writeFileSync(metaPath(meta.id), JSON.stringify(meta, null, 2));
+}
+
+function readMeta(id) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(id), "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+}
+
+// new session for the stream that just started in a room
+function create({ room, presenterIp, mimeType }) {
+  fs.mkdirSync(dir(), { recursive: true });
+  const now = new Date();
+  const id = `${stamp(now)}-${room}-${crypto.randomBytes(3).toString("hex")}`;
+  const meta = {
+    id,
+    room,
+    presenterIp: presenterIp || null,
+    mimeType: mimeType || "video/webm",
+    startedAt: now.getTime(),
+    endedAt: null,
+    durationMs: null,
+    bytes: 0,
+    nextSeq: 0,
+  };
+  fs.writeFileSync(filePath(id), "");
+  writeMeta(meta);
+  active.set(id, meta);
+  console.log(`Recording started: ${id} (presenter ${meta.presenterIp || "unknown"})`);
+  return publicMeta(meta);
+}
+
+function activeSession(id) {
+  if (!ID_RE.test(String(id))) throw new RecordingError("unknown_recording", "no such recording");
+  const meta = active.get(id);
+  if (meta) return meta;
+  if (readMeta(id)) throw new RecordingError("finished", `recording ${id} is already finished`);
+  throw new RecordingError("unknown_recording", `no recording ${id}`);
+}
+
+// chunks must arrive in order (seq 0, 1, 2, ...), a WebM stream can't be patched up afterwards
+function append(id, seq, data) {
+  const meta = activeSession(id);
+  if (seq !== meta.nextSeq) throw new RecordingError("out_of_order", `expected chunk ${meta.nextSeq}, got ${seq}`);
+  if (meta.bytes + data.length > config.get("recording.maxTotalBytes")) {
+    throw new RecordingError("too_large", "recording would exceed recording.maxTotalBytes");
+  }
+  fs.appendFileSync(filePath(id), data);
+  meta.bytes += data.length;
+  meta.nextSeq++;
+  writeMeta(meta);
+  enforceRetention(id);
+  return publicMeta(meta);
+}
+
+function finish(id, { interrupted = false, endedAt = Date.now() } = {}) {
+  const meta = activeSession(id);
+  active.delete(id);
+  meta.endedAt = endedAt;
+  meta.durationMs = Math.max(0, meta.endedAt - meta.startedAt);
+  if (interrupted) meta.interrupted = true;
+  writeMeta(meta);
+  console.log(`Recording finished: ${id} (${Math.round(meta.durationMs / 1000)}s, ${meta.bytes} bytes)`);
+  enforceRetention();
+  return publicMeta(meta);
+}
+
+// the host went away mid-recording, nothing more will be uploaded for its room
+function finishRoom(room) {
+  Array.from(active.values()).filter(m => m.room === room).forEach(m => finish(m.id, { interrupted: true }));
+}
+
+function publicMeta(meta) {
+  const { nextSeq, ...rest } = meta;
+  return { ...rest, active: active.has(meta.id) };
+}
+
+// newest first
+function list() {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir());
+  } catch (e) {
+    return [];
+  }
+  return names
+    .filter(n => n.endsWith(".json"))
+    .map(n => readMeta(n.slice(0, -5)))
+    .filter(Boolean)
+    .map(meta => publicMeta(active.get(meta.id) || meta))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// { meta, file } or null
+function get(id) {
+  if (!ID_RE.test(String(id))) return null;
+  const meta = readMeta(id);
+  if (!meta || !fs.existsSync(filePath(id))) return null;
+  return { meta: publicMeta(active.get(id) || meta), file: filePath(id) };
+}
+
+function remove(id) {
+  if (!ID_RE.test(String(id)) || !readMeta(id)) return false;
+  active.delete(id);
+  for (const p of [filePath(id), metaPath(id)]) {
+    try { fs.unlinkSync(p); } catch (e) {}
+  }
+  console.log(`Recording deleted: ${id}`);
+  return true;
+}
+
+// drop finished recordings past recording.maxAgeDays, then the oldest ones until we fit recording.maxTotalBytes.
+// keep: id of a recording in progress that must not be removed
+function enforceRetention(keep) {
+  const maxAgeDays = config.get("recording.maxAgeDays");
+  const maxBytes = config.get("recording.maxTotalBytes");
+  const all = list();
+  const removable = all.filter(r => !r.active && r.id !== keep).reverse(); // oldest first
+
+  if (maxAgeDays) {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    removable.filter(r => r.startedAt < cutoff).forEach(r => remove(r.id));
+  }
+
+  let total = list().reduce((sum, r) => sum + r.bytes, 0);
+  for (const r of removable) {
+    if (total <= maxBytes) break;
+    if (!get(r.id)) continue;
+    remove(r.id);
+    total -= r.bytes;
+  }
+}
+
+// sessions left open by a crash or restart are closed at their last write
+function recoverInterrupted() {
+  list().filter(r => r.endedAt === null && !active.has(r.id)).forEach(r => {
+    const meta = readMeta(r.id);
+    let endedAt = meta.startedAt;
+    try { endedAt = fs.statSync(filePath(r.id)).mtimeMs; } catch (e) {}
+    meta.endedAt = Math.round(endedAt);
+    meta.durationMs = Math.max(0, meta.endedAt - meta.startedAt);
+    meta.interrupted = true;
+    delete meta.nextSeq;
+    writeMeta(meta);
+    console.warn(`Recording ${r.id} was not finished, marked as interrupted`);
+  });
+  enforceRetention();
+}
+
+module.exports = {
+  RecordingError,
+  create,
+  append,
+  finish,
+  finishRoom,
+  list,
+  get,
+  remove,
+  enforceRetention,
+  recoverInterrupted,
+};
@@ -22,54 +22,154 @@ const { WebSocketServer } = require("ws");
 const os = require("os");
 const path = require("path");
 const crypto = require("crypto");
-const selfsigned = require("selfsigned");
-const net = require("net")
+const config = require("./config");
+const logger = require("./logger");
+const certs = require("./cert-manager");
+const acme = require("./acme");
+const { normalizeAddr, clientAddress } = require("./network");
+const mdns = require("./mdns");
+const ice = require("./ice");
+const recordings = require("./recordings");
+const whiteboards = require("./whiteboards");
+const metrics = require("./metrics");
+const authLimits = require("./auth-limits");
+const devices = require("./devices");
+const audit = require("./audit");
+const { createControlServer, ControlError, ERROR_CODES } = require("./control");
+
+// config file + env + command line, refuse to start on invalid values
+let configPath;
+try {
+  configPath = config.load({ argv: process.argv.slice(2) }).configPath;
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+// everything printed also lands in the rotating log file (untamed logs)
+logger.install({
+  file: config.logFilePath(),
+  maxBytes: config.get("log.maxBytes"),
+  maxFiles: config.get("log.maxFiles")
+});
+console.log(`Untamed starting (PID ${process.pid})`);
+console.log(`Using config ${configPath}${fs.existsSync(configPath) ? "" : " (not found, defaults)"}`);
+audit.record("server_started", { pid: process.pid, config: configPath });
 
 const app = express();
 
-// Enforce HSTS
+// behind a reverse proxy (proxy.enabled) TLS ends at the proxy and we serve plain HTTP
+const PROXY_MODE = config.get("proxy.enabled");
+const HTTPS_PORT = config.get("server.httpsPort");
+
+// the connection itself (not X-Forwarded-For) has to come from a trusted proxy
+function fromTrustedProxy(req) {
+  return PROXY_MODE && config.get("proxy.trusted").map(normalizeAddr).includes(normalizeAddr(req.socket?.remoteAddress));
+}
+
+// the client's address, through trusted proxies; works for WebSocket upgrade requests too
+function clientIp(req) {
+  return clientAddress(req, PROXY_MODE ? config.get("proxy.trusted").map(normalizeAddr) : []);
+}
+
+function requestHost(req) {
+  const forwarded = fromTrustedProxy(req) ? req.headers["x-forwarded-host"] : null;
+  return (forwarded || req.headers.host || "").split(",")[0].trim() || null;
+}
+
+function isSecure(req) {
+  if (!PROXY_MODE) return true;
+  return fromTrustedProxy(req) && String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+// where presenters reach us: server.publicUrl, or the mDNS name and HTTPS port
+function publicUrl() {
+  const configured = config.get("server.publicUrl");
+  if (configured) return configured.replace(/\/$/, "");
+  return `https://${os.hostname()}.local${HTTPS_PORT === 443 ? "" : `:${HTTPS_PORT}`}`;
+}
+
+function publicPort() {
+  const url = new URL(publicUrl());
+  return Number(url.port) || (url.protocol === "https:" ? 443 : 80);
+}
+
+// HSTS (server.hsts), only on requests that came in over HTTPS
 app.use((req, res, next) => {
-  res.setHeader("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+  if (config.get("server.hsts") && isSecure(req)) {
+    const includeSub = config.get("server.hstsIncludeSubDomains") ? "; includeSubDomains" : "";
+    res.setHeader("Strict-Transport-Security", `max-age=${config.get("server.hstsMaxAgeSec")}${includeSub}`);
+  }
   next();
 });
 
-const CERT_DIR = path.join(__dirname, "cert");
-const KEY_PATH = path.join(CERT_DIR, "key.pem");
-const CERT_PATH = path.join(CERT_DIR, "cert.pem");
-
-// normalize remote addresses
-function normalizeAddr(addr) {
-  if (!addr) return addr;
-  const pct = addr.indexOf('%');
-  if (pct !== -1) addr = addr.substring(0, pct);
-  if (addr.startsWith('::ffff:')) addr = addr.replace('::ffff:', '');
-  if (addr === '::1') addr = '127.0.0.1';
-  return addr;
-}
-
-// gather local addresses
-function getLocalAddresses() {
-  const nets = os.networkInterfaces();
-  const addrs = new Set();
-  addrs.add('127.0.0.1');
-  addrs.add('::1');
-  for (const name of Object.keys(nets)) {
-    for (const net of nets[name]) {
-      const a = normalizeAddr(net.address);
-      if (a) addrs.add(a);
-    }
+/* ============================================================
+   HOST DISPLAYS
+   A display proves itself with the host key (HOST_KEY env, or generated
+   once into .host-key). Opening /host.html?key=<key> stores it in a cookie,
+   which then covers the host page, /passcode, /host-config, the host API and the
+   WebSocket host registration, from any machine
+   ============================================================ */
+
+const HOST_KEY_PATH = path.join(__dirname, ".host-key");
+const HOST_COOKIE = "untamed_host";
+const HOST_COOKIE_MAX_AGE_SEC = 400 * 24 * 60 * 60;
+
+function loadOrCreateHostKey() {
+  if (process.env.HOST_KEY) return process.env.HOST_KEY;
+  try {
+    const existing = fs.readFileSync(HOST_KEY_PATH, "utf8").trim();
+    if (existing) return existing;
+  } catch (e) {}
+  const key = crypto.randomBytes(24).toString("base64url");
+  fs.writeFileSync(HOST_KEY_PATH, key + "\n", { mode: 0o600 });
+  console.log(`Generated host key, see ${HOST_KEY_PATH}`);
+  return key;
+}
+
+const hostKey = loadOrCreateHostKey();
+
+// constant time, so the key can't be guessed byte by byte
+function secretMatches(given, expected) {
+  const a = Buffer.from(given || "");
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// works for express requests and WebSocket upgrade requests alike
+function isHostRequest(req) {
+  const m = new RegExp(`(?:^|;\\s*)${HOST_COOKIE}=([^;]*)`).exec(req.headers.cookie || "");
+  let given = "";
+  try { given = m ? decodeURIComponent(m[1]) : ""; } catch (e) {}
+  return secretMatches(given, hostKey);
+}
+
+function requireHost(req, res, next) {
+  if (!isHostRequest(req)) {
+    console.warn(`Blocked ${req.baseUrl}${req.path} request without host key from: ${clientIp(req)}`);
+    return res.status(403).json({ error: "forbidden" });
   }
-  return addrs;
+  next();
 }
 
 app.get("/host.html", (req, res) => {
-  const remoteRaw = req.socket?.remoteAddress;
-  const remote = normalizeAddr(remoteRaw);
-  const localAddrs = getLocalAddresses();
+  // pairing: keep the key in a cookie and drop it from the address bar
+  if (typeof req.query.key === "string") {
+    if (!secretMatches(req.query.key, hostKey)) {
+      console.warn(`Wrong host key for /host.html from: ${clientIp(req)}`);
+      return res.status(403).send("Wrong host key.");
+    }
+    res.setHeader("Set-Cookie", `${HOST_COOKIE}=${encodeURIComponent(hostKey)}; Path=/; Max-Age=${HOST_COOKIE_MAX_AGE_SEC}; HttpOnly; Secure; SameSite=Strict`);
+    const params = new URLSearchParams(req.query);
+    params.delete("key");
+    const query = params.toString();
+    console.log(`Display paired from: ${clientIp(req)}`);
+    return res.redirect(303, `/host.html${query ? `?${query}` : ""}`);
+  }
 
-  if (!remote || !localAddrs.has(remote)) {
-    console.warn(`Blocked /host.html access from: ${remoteRaw}`);
-    return res.status(403).send("no.");
+  if (!isHostRequest(req)) {
+    console.warn(`Blocked /host.html access from: ${clientIp(req)}`);
+    return res.status(403).send("This display is not paired. Open /host.html?key=<host key> once, the key is in .host-key on the server.");
   }
 
   res.sendFile(path.join(__dirname, "private", "host.html"));
@@ -78,99 +178,582 @@ app.use("/host-assets", express.static(path.join(__dirname, "private")));
 app.use(express.static(path.join(__dirname, "public")));
 
 
-// Ensure cert directory exists
-if (!fs.existsSync(CERT_DIR)) fs.mkdirSync(CERT_DIR, { recursive: true });
+// local root CA for presenter devices to trust (local-ca mode only)
+function sendCaCert(req, res) {
+  const pem = certs.caCertificatePem();
+  if (!pem) return res.status(404).send("no local CA, certs.mode is not local-ca");
+  res.setHeader("Content-Type", "application/x-x509-ca-cert");
+  res.setHeader("Content-Disposition", "attachment; filename=\"untamed-ca.crt\"");
+  res.send(pem);
+}
+app.get("/ca.crt", sendCaCert);
 
-// Generate a self-signed certificate valid for ~6 months (183 days)
-function generateSelfSignedCert() {
-  const hostname = os.hostname() + ".local";
-  const attrs = [{ name: "commonName", value: hostname }];
-  // days: 183 ~ 6 months
-  const opts = { days: 183, keySize: 2048, algorithm: "sha256" };
-  const p = selfsigned.generate(attrs, opts);
-  // p.private, p.cert (PEM encoded)
-  return { key: p.private, cert: p.cert };
+// the name a browser reached us by, without the port; TURN/STUN URLs use it too
+function iceHost(name) {
+  return name ? name.replace(/:\d+$/, "") : os.hostname() + ".local";
 }
 
-// Load existing cert/key or generate new ones if missing
-function loadOrCreateCerts() {
+// STUN/TURN servers for RTCPeerConnection: STUN for anyone, TURN credentials (short-lived,
+// ice.credentialTtlSec) for the paired display only; presenters and viewers get theirs over the socket
+app.get("/ice-config", (req, res) => {
+  const host = iceHost(requestHost(req));
+  res.setHeader("Cache-Control", "no-store");
+  res.json(isHostRequest(req) ? ice.iceConfig(host, clientIp(req)) : ice.publicIceConfig(host));
+});
+
+// what the presenter page needs before signing in
+app.get("/client-config", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ rememberDevices: config.get("auth.rememberDevices"), approval: config.get("approval.required") });
+});
+
+// Create HTTPS server using existing or newly issued certs (see cert-manager.js, certs.mode),
+// or a plain HTTP one for the reverse proxy
+let webServer;
+if (PROXY_MODE) {
+  webServer = http.createServer(app);
+} else {
+  let initial;
   try {
-    const keyExists = fs.existsSync(KEY_PATH);
-    const certExists = fs.existsSync(CERT_PATH);
-    if (keyExists && certExists) {
-      const key = fs.readFileSync(KEY_PATH, "utf8");
-      const cert = fs.readFileSync(CERT_PATH, "utf8");
-      return { key, cert, fromFile: true };
-    }
+    initial = certs.ensureCerts();
   } catch (e) {
-    console.warn("Error reading existing certs, will generate new ones:", e);
+    console.error(`Cannot set up TLS certificate: ${e.message}`);
+    process.exit(1);
   }
-  const { key, cert } = generateSelfSignedCert();
-  fs.writeFileSync(KEY_PATH, key, { mode: 0o600 });
-  fs.writeFileSync(CERT_PATH, cert);
-  console.log("Generated initial self-signed certs");
-  return { key, cert, fromFile: false };
+  webServer = https.createServer({ key: initial.key, cert: initial.cert }, app);
+  certs.attach(webServer);
 }
 
-// Create HTTPS server using existing or newly generated certs
-const initial = loadOrCreateCerts();
-const httpsServer = https.createServer({ key: initial.key, cert: initial.cert }, app);
+const wss = new WebSocketServer({ server: webServer });
 
-const wss = new WebSocketServer({ server: httpsServer });
+const STARTED_AT = Date.now();
 
-let hostSocket = null;
-let clientSocket = null;
+// Rooms: each host display gets its own passcode rotation and presenter slots
+const DEFAULT_ROOM = "default";
+const ROOM_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const rooms = new Map(); // id -> { id, hostSocket, hostCaps, presenters, layout, queue, currentPasscode, passcodeInterval, viewers, viewerPasscode }
+const LAYOUTS = config.SCHEMA["presenters.layout"].values;
 
-// Passcode handling
-const PASSCODE_EXPIRY_MS = 5 * 60 * 1000;
-let currentPasscode = null; // { code, expiresAt, used }
+// returns the normalized room id, or null if it is not a valid id
+function normalizeRoomId(id) {
+  const r = String(id || "").trim().toLowerCase();
+  if (!r) return DEFAULT_ROOM;
+  return ROOM_ID_RE.test(r) ? r : null;
+}
+
+function getRoom(id, create) {
+  let room = rooms.get(id) || null;
+  if (!room && create) {
+    room = {
+      id,
+      hostSocket: null,
+      hostCaps: {}, // quality caps the host display asked for, on top of quality.*
+      presenters: [], // presenting clients in the order they got the screen, up to presenters.max
+      hostStats: new Map(), // presenterId -> connection statistics the host reported for that presenter
+      layout: { layout: config.get("presenters.layout"), spotlight: null, muted: [] },
+      queue: [], // clients waiting for the presenter slot, already authenticated
+      pending: [], // clients with a valid passcode waiting for the display to accept them (approval.required)
+      currentPasscode: null, // { code, expiresAt, used }
+      passcodeInterval: null,
+      viewers: new Map(), // viewerId -> ws, read-only watchers the host forwards the stream to
+      viewerPasscode: null, // { code, createdAt }, stays until rotated from the admin console
+      hostGraceTimer: null // runs while a disconnected host may still come back
+    };
+    rooms.set(id, room);
+    console.log(`Room created: ${id}`);
+    mdns.setRooms(Array.from(rooms.keys()));
+    startPasscodeRotation(room);
+    generateViewerPasscode(room);
+  }
+  return room;
+}
+
+// (re)start the room's passcode rotation with a fresh code
+function startPasscodeRotation(room) {
+  if (room.passcodeInterval) clearInterval(room.passcodeInterval);
+  generatePasscode(room);
+  room.passcodeInterval = setInterval(() => {
+    generatePasscode(room);
+  }, config.get("passcode.expiryMs"));
+}
 
-function generatePasscode() {
+function isOpen(ws) {
+  return !!ws && ws.readyState === ws.OPEN;
+}
+
+function sendTo(ws, payload) {
+  if (!isOpen(ws)) return false;
+  try { ws.send(JSON.stringify(payload)); } catch (e) { return false; }
+  return true;
+}
+
+// Passcode handling
+function generatePasscode(room) {
   const code = String(100000 + crypto.randomInt(0, 900000));
-  currentPasscode = {
+  room.currentPasscode = {
     code,
-    expiresAt: Date.now() + PASSCODE_EXPIRY_MS,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + config.get("passcode.expiryMs"),
     used: false
   };
-  broadcastPasscode();
-  console.log("New passcode generated:", code);
-  return currentPasscode;
+  sendPasscodeToHost(room);
+  console.log(`New passcode generated for room ${room.id}:`, code);
+  audit.record("passcode_generated", { room: room.id, expiresAt: new Date(room.currentPasscode.expiresAt).toISOString() });
+  return room.currentPasscode;
 }
 
-function broadcastPasscode() {
-  const payload = JSON.stringify({
+function passcodePayload(room) {
+  return {
     type: "passcodeUpdated",
-    code: currentPasscode.code,
-    expiresAt: currentPasscode.expiresAt,
-    used: currentPasscode.used
+    room: room.id,
+    code: room.currentPasscode.code,
+    expiresAt: room.currentPasscode.expiresAt,
+    used: room.currentPasscode.used
+  };
+}
+
+// only the display shows the passcode
+function sendPasscodeToHost(room) {
+  sendTo(room.hostSocket, passcodePayload(room));
+}
+
+// Viewers: watch the current presentation, the host sends each one its own copy of the stream
+function generateViewerPasscode(room) {
+  room.viewerPasscode = { code: String(100000 + crypto.randomInt(0, 900000)), createdAt: Date.now() };
+  sendViewerInfo(room);
+  return room.viewerPasscode;
+}
+
+// code viewers join with: their own one, or the presenter passcode with viewer.separatePasscode off
+function viewerCode(room) {
+  if (!config.get("viewer.enabled")) return null;
+  if (config.get("viewer.separatePasscode")) return room.viewerPasscode.code;
+  return room.currentPasscode ? room.currentPasscode.code : null;
+}
+
+function sendViewerInfo(room) {
+  sendTo(room.hostSocket, {
+    type: "viewersUpdated",
+    room: room.id,
+    enabled: config.get("viewer.enabled"),
+    code: config.get("viewer.separatePasscode") ? room.viewerPasscode.code : null,
+    count: room.viewers.size
   });
-  wss.clients.forEach(c => {
-    if (c.readyState === c.OPEN) {
-      try { c.send(payload); } catch (e) {}
-    }
+}
+
+function removeViewer(room, ws, reason) {
+  if (room.viewers.get(ws.viewerId) !== ws) return;
+  room.viewers.delete(ws.viewerId);
+  if (reason) sendTo(ws, { type: reason });
+  sendTo(room.hostSocket, { type: "viewerLeft", viewerId: ws.viewerId });
+  sendViewerInfo(room);
+}
+
+// Presenter queue: tell every waiting client its position, host/presenter the length
+function broadcastQueue(room) {
+  room.queue = room.queue.filter(isOpen);
+  room.queue.forEach((w, i) => {
+    sendTo(w, { type: "queued", room: room.id, position: i + 1, waiting: room.queue.length });
   });
+  const info = { type: "queueUpdated", room: room.id, waiting: room.queue.length };
+  sendTo(room.hostSocket, info);
+  room.presenters.forEach(p => sendTo(p, info));
 }
 
-// initial and scheduled rotation
-generatePasscode();
-setInterval(() => {
-  generatePasscode();
-}, PASSCODE_EXPIRY_MS);
+// Presenters: up to presenters.max clients share the screen, each with its own peer connection to the host
+function findPresenter(room, presenterId) {
+  return room.presenters.find(p => p.presenterId === presenterId) || null;
+}
 
-wss.on("connection", (ws) => {
-  console.log("WS connected");
+function hasFreeSlot(room) {
+  return room.presenters.length < config.get("presenters.max");
+}
 
-  // send current passcode to new peer
-  try {
-    if (currentPasscode) {
-      ws.send(JSON.stringify({
-        type: "passcodeUpdated",
-        code: currentPasscode.code,
-        expiresAt: currentPasscode.expiresAt,
-        used: currentPasscode.used
-      }));
+function acceptPresenter(room, ws, promoted) {
+  ws.presenterId = crypto.randomUUID();
+  ws.presentingSince = Date.now();
+  ws.room = room;
+  room.presenters.push(ws);
+  const remember = ws.rememberDevice;
+  ws.rememberDevice = false;
+  sendTo(ws, {
+    type: "clientAccepted",
+    room: room.id,
+    presenterId: ws.presenterId,
+    sessionToken: issueSessionToken(ws),
+    deviceToken: remember ? devices.issue({ room: room.id, ip: ws.remoteAddress, userAgent: ws.userAgent }) : undefined,
+    promoted,
+    recording: config.get("recording.enabled"),
+    quality: qualityPolicy(room),
+    statsReportMs: config.get("stats.reportIntervalMs"),
+    ice: ice.iceConfig(ws.iceHost, ws.remoteAddress)
+  });
+  // the client offers on its own from clientAccepted (a promoted one once it captures again),
+  // asking it here too would race a second peer connection against the first
+  if (!promoted) sendTo(room.hostSocket, { type: "requestOffer" });
+  sendLayout(room);
+  audit.record("presenter_started", { room: room.id, presenterId: ws.presenterId, ip: ws.remoteAddress, promoted: !!promoted });
+}
+
+// one line per presentation in the audit log, a presenter that dropped off ended when it dropped
+function recordSession(room, ws, reason) {
+  if (ws.sessionRecorded) return;
+  ws.sessionRecorded = true;
+  const endedAt = ws.detachedAt || Date.now();
+  audit.record("session", {
+    room: room.id,
+    presenterId: ws.presenterId,
+    name: ws.displayName || null,
+    ip: ws.remoteAddress,
+    userAgent: ws.userAgent,
+    device: describeDevice(ws.userAgent),
+    signIn: ws.signIn || null,
+    startedAt: new Date(ws.presentingSince).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMs: endedAt - ws.presentingSince,
+    reason
+  });
+}
+
+// drop a presenter from the room and from the layout, the host closes its peer connection.
+// reason ends up in the audit log: left, disconnected, lost, kicked, handedOff, shutdown
+function removePresenter(room, ws, reason) {
+  if (!room.presenters.includes(ws)) return false;
+  clearTimeout(ws.graceTimer);
+  recordSession(room, ws, reason);
+  room.presenters = room.presenters.filter(p => p !== ws);
+  room.hostStats.delete(ws.presenterId);
+  if (room.layout.spotlight === ws.presenterId) room.layout.spotlight = null;
+  room.layout.muted = room.layout.muted.filter(id => id !== ws.presenterId);
+  sendTo(room.hostSocket, { type: "clientDisconnected", presenterId: ws.presenterId });
+  sendLayout(room);
+  return true;
+}
+
+// take the presenter slot away from a client, who is told why
+function releasePresenter(room, ws, reason) {
+  if (!removePresenter(room, ws, reason)) return false;
+  ws.room = null;
+  sendTo(ws, { type: reason });
+  return true;
+}
+
+// operator removes one presenter, or all of them without an id; the passcode they used is burned
+function kickPresenter(room, presenterId) {
+  const targets = presenterId ? [findPresenter(room, presenterId)].filter(Boolean) : room.presenters.slice();
+  if (!targets.length) return false;
+  targets.forEach(ws => releasePresenter(room, ws, "kicked"));
+  console.log(`${targets.length} presenter(s) kicked from room ${room.id}`);
+  generatePasscode(room);
+  promoteNext(room);
+  return true;
+}
+
+// Sign-in protection: every passcode attempt counts against the rate limits (auth-limits.js),
+// wrong ones back off and lock the IP out; failures are logged with the address
+function admitAttempt(ws) {
+  const blocked = authLimits.check(ws.remoteAddress);
+  if (blocked) {
+    audit.record("auth_failed", { ip: ws.remoteAddress, userAgent: ws.userAgent, reason: blocked.reason });
+    sendTo(ws, { type: "authFailed", reason: blocked.reason, retryAfterMs: blocked.retryAfterMs });
+    return false;
+  }
+  authLimits.attempt(ws.remoteAddress);
+  return true;
+}
+
+function rejectAttempt(ws, role, roomId, reason) {
+  const result = authLimits.fail(ws.remoteAddress);
+  console.warn(`Failed ${role} sign-in for room ${roomId} from ${ws.remoteAddress}: ${reason}` +
+    ` (${result.failures} in a row${result.locked ? ", locked out" : ""})`);
+  audit.record("auth_failed", { role, room: roomId, ip: ws.remoteAddress, userAgent: ws.userAgent, reason, failures: result.failures, locked: result.locked });
+  sendTo(ws, { type: "authFailed", reason: result.locked ? "locked_out" : reason, retryAfterMs: result.retryAfterMs });
+}
+
+// a presenter left for good: the next one needs a fresh passcode, or gets a free slot
+function dropPresenter(room, ws, reason) {
+  if (!removePresenter(room, ws, reason)) return;
+  generatePasscode(room);
+  promoteNext(room);
+}
+
+// Resumable sessions: a presenter whose connection dropped keeps its slot for reconnect.graceMs
+// and takes it back with the session token from clientAccepted (renewed on every resume)
+function issueSessionToken(ws) {
+  ws.sessionToken = crypto.randomBytes(24).toString("base64url");
+  return ws.sessionToken;
+}
+
+function detachPresenter(room, ws) {
+  ws.detachedAt = Date.now();
+  sendTo(room.hostSocket, { type: "presenterReconnecting", presenterId: ws.presenterId });
+  ws.graceTimer = setTimeout(() => {
+    if (!room.presenters.includes(ws)) return;
+    console.log(`Presenter did not reconnect in room ${room.id}`);
+    dropPresenter(room, ws, "lost");
+  }, config.get("reconnect.graceMs"));
+}
+
+function resumePresenter(room, old, ws) {
+  clearTimeout(old.graceTimer);
+  // the old socket may not have noticed it is gone yet
+  old.room = null;
+  if (isOpen(old)) old.terminate();
+  ws.presenterId = old.presenterId;
+  ws.presentingSince = old.presentingSince;
+  ws.displayName = old.displayName;
+  ws.signIn = old.signIn;
+  ws.stats = old.stats;
+  ws.room = room;
+  room.presenters[room.presenters.indexOf(old)] = ws;
+  sendTo(ws, {
+    type: "resumed",
+    room: room.id,
+    presenterId: ws.presenterId,
+    sessionToken: issueSessionToken(ws),
+    hostConnected: isOpen(room.hostSocket),
+    recording: config.get("recording.enabled"),
+    quality: qualityPolicy(room),
+    statsReportMs: config.get("stats.reportIntervalMs"),
+    ice: ice.iceConfig(ws.iceHost, ws.remoteAddress)
+  });
+  sendTo(ws, { type: "queueUpdated", room: room.id, waiting: room.queue.length });
+  sendTo(room.hostSocket, { type: "presenterResumed", presenterId: ws.presenterId });
+  console.log(`Presenter resumed in room ${room.id}`);
+  audit.record("presenter_resumed", { room: room.id, presenterId: ws.presenterId, ip: ws.remoteAddress });
+}
+
+// the host display did not come back within reconnect.graceMs
+function hostGone(room) {
+  room.hostGraceTimer = null;
+  recordings.finishRoom(room.id);
+  room.viewers.forEach(v => sendTo(v, { type: "hostDisconnected" }));
+}
+
+// fill free presenter slots from the queue, no new passcode needed
+function promoteNext(room) {
+  while (room.queue.length && hasFreeSlot(room)) {
+    const next = room.queue.shift();
+    if (!isOpen(next)) continue;
+    console.log(`Promoted next queued client in room ${room.id}`);
+    acceptPresenter(room, next, true);
+  }
+  broadcastQueue(room);
+}
+
+// a signed-in client presents now, or waits in line while all slots are taken
+function admitPresenter(room, ws, usedPasscode, approved) {
+  if (!hasFreeSlot(room)) {
+    if (room.queue.length >= config.get("queue.maxLength")) {
+      ws.room = null;
+      sendTo(ws, { type: "streamConflict", reason: "queue full" });
+      return;
     }
-  } catch (e) {}
+    room.queue.push(ws);
+    ws.room = room;
+    console.log(`Queued client in room ${room.id} (position ${room.queue.length})`);
+    audit.record("client_queued", { room: room.id, ip: ws.remoteAddress, position: room.queue.length });
+    broadcastQueue(room);
+    return;
+  }
+
+  // flag passcode used, a remembered device leaves it for others
+  if (usedPasscode) {
+    room.currentPasscode.used = true;
+    sendPasscodeToHost(room);
+    audit.record("passcode_used", { room: room.id, ip: ws.remoteAddress });
+  }
+  // an approved client waited, it has to start capturing again like a promoted one
+  acceptPresenter(room, ws, approved);
+
+  console.log(`Registered client in room ${room.id} (${usedPasscode ? "passcode accepted" : "remembered device"}, ${room.presenters.length} presenting)`);
+  broadcastQueue(room);
+}
+
+// Host approval (approval.required): the display sees who is asking and accepts or denies them
+const BROWSERS = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["CriOS/", "Chrome"], ["FxiOS/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+const SYSTEMS = [["Windows", "Windows"], ["iPhone", "iPhone"], ["iPad", "iPad"], ["Android", "Android"], ["CrOS", "ChromeOS"], ["Mac OS X", "macOS"], ["Linux", "Linux"]];
+
+// "Firefox on Windows", good enough for a person to recognise their device
+function describeDevice(userAgent) {
+  const ua = userAgent || "";
+  const browser = BROWSERS.find(([token]) => ua.includes(token));
+  const system = SYSTEMS.find(([token]) => ua.includes(token));
+  if (!browser && !system) return "Unknown device";
+  return `${browser ? browser[1] : "Browser"} on ${system ? system[1] : "unknown system"}`;
+}
+
+// printable, one line, short enough for the prompt
+function cleanDisplayName(name) {
+  return (typeof name === "string" ? name : "").replace(/[\u0000-\u001f\u007f]/g, "").trim().slice(0, 40);
+}
+
+function approvalRequest(ws) {
+  return { type: "approvalRequest", requestId: ws.approvalId, name: ws.displayName, device: describeDevice(ws.userAgent), ip: ws.remoteAddress };
+}
+
+// ws.room only ties a waiting client to the room for its close and the admin views: passcodes
+// go to the display alone and the message relay ignores it until settleApproval accepts it
+function requestApproval(room, ws, usedPasscode) {
+  const timeoutMs = config.get("approval.timeoutMs");
+  ws.approvalId = crypto.randomUUID();
+  ws.usedPasscode = usedPasscode;
+  ws.room = room;
+  room.pending.push(ws);
+  ws.approvalTimer = setTimeout(() => settleApproval(room, ws, false, "timeout"), timeoutMs);
+  console.log(`Client ${ws.displayName ? `"${ws.displayName}" ` : ""}waiting for approval in room ${room.id}`);
+  sendTo(ws, { type: "awaitingApproval", room: room.id, timeoutMs });
+  sendTo(room.hostSocket, approvalRequest(ws));
+}
+
+// reason: "denied", "timeout" or "left"
+function settleApproval(room, ws, accepted, reason) {
+  if (!room.pending.includes(ws)) return;
+  clearTimeout(ws.approvalTimer);
+  room.pending = room.pending.filter(p => p !== ws);
+  sendTo(room.hostSocket, { type: "approvalSettled", requestId: ws.approvalId, accepted });
+  if (!isOpen(ws)) return;
+  audit.record("approval", { room: room.id, ip: ws.remoteAddress, name: ws.displayName || null, accepted, reason: accepted ? null : reason });
+  if (!accepted) {
+    console.log(`Approval ${reason === "timeout" ? "timed out" : "denied"} in room ${room.id}`);
+    ws.room = null;
+    sendTo(ws, { type: "approvalDenied", reason });
+    return;
+  }
+  console.log(`Approved client in room ${room.id}`);
+  admitPresenter(room, ws, ws.usedPasscode, true);
+}
+
+// Stream quality: presenters pick a preset and apply it themselves, within the caps of the
+// config and of the room's host display (a cap of 0 or missing means none)
+const QUALITY_CAPS = ["maxBitrateKbps", "maxFrameRate", "maxHeight"];
+
+function hostCapsFrom(caps) {
+  const result = {};
+  QUALITY_CAPS.forEach(name => {
+    const v = Number(caps && caps[name]);
+    if (Number.isInteger(v) && v > 0) result[name] = v;
+  });
+  return result;
+}
+
+function qualityPolicy(room) {
+  const caps = {};
+  QUALITY_CAPS.forEach(name => {
+    const limits = [config.get(`quality.${name}`), room.hostCaps[name]].filter(v => v > 0);
+    caps[name] = limits.length ? Math.min(...limits) : null;
+  });
+  return {
+    defaultPreset: config.get("quality.defaultPreset"),
+    presenterChoice: config.get("quality.presenterChoice"),
+    codec: config.get("quality.codec"),
+    caps
+  };
+}
+
+function sendQuality(room) {
+  const payload = { type: "qualityUpdated", room: room.id, quality: qualityPolicy(room) };
+  room.presenters.forEach(p => sendTo(p, payload));
+}
+
+// Connection statistics: each end of a presenter's peer connection reports a summary of
+// RTCPeerConnection.getStats() (public/js/stats.js), kept for the admin console and /metrics
+const STATS_NUMBERS = ["bitrateKbps", "fps", "width", "height", "packetsLost", "lossPct", "jitterMs", "rttMs"];
+const STATS_STRINGS = ["direction", "codec", "localCandidate", "remoteCandidate"];
+
+function cleanStats(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const stats = { receivedAt: Date.now() };
+  STATS_NUMBERS.forEach(name => {
+    const v = Number(raw[name]);
+    stats[name] = raw[name] !== null && raw[name] !== undefined && isFinite(v) && v >= 0 ? v : null;
+  });
+  STATS_STRINGS.forEach(name => {
+    const v = raw[name];
+    stats[name] = typeof v === "string" && /^[\w./-]{1,40}$/.test(v) ? v : null;
+  });
+  return stats;
+}
+
+function presenterStats(room, ws) {
+  return { presenter: ws.stats || null, host: room.hostStats.get(ws.presenterId) || null };
+}
+
+function sendStatsConfig(room) {
+  const payload = { type: "statsConfig", reportIntervalMs: config.get("stats.reportIntervalMs") };
+  room.presenters.forEach(p => sendTo(p, payload));
+}
+
+// layout of the host display: arrangement, spotlighted presenter, presenters whose audio is muted
+function sendLayout(room) {
+  sendTo(room.hostSocket, {
+    type: "layoutUpdated",
+    room: room.id,
+    ...room.layout,
+    presenters: room.presenters.map(p => p.presenterId)
+  });
+}
+
+// applies the given fields of { layout, spotlight, muted }, returns a problem or null
+function updateLayout(room, changes) {
+  const next = { ...room.layout };
+  if (changes.layout !== undefined) {
+    if (!LAYOUTS.includes(changes.layout)) return `layout must be one of ${LAYOUTS.join(", ")}`;
+    next.layout = changes.layout;
+  }
+  if (changes.spotlight !== undefined) {
+    if (changes.spotlight !== null && !findPresenter(room, changes.spotlight)) return "spotlight must be a presenter id or null";
+    next.spotlight = changes.spotlight;
+  }
+  if (changes.muted !== undefined) {
+    if (!Array.isArray(changes.muted) || !changes.muted.every(id => findPresenter(room, id))) return "muted must be a list of presenter ids";
+    next.muted = Array.from(new Set(changes.muted));
+  }
+  room.layout = next;
+  sendLayout(room);
+  return null;
+}
+
+// the default room always exists so a plain /host.html keeps working
+getRoom(DEFAULT_ROOM, true);
+
+// Heartbeat: every heartbeat.intervalMs each socket is pinged. A peer that misses heartbeat.maxMissed
+// pongs in a row (lost Wi-Fi, laptop asleep) is terminated, which runs the usual close handling
+let heartbeatInterval = null;
+let heartbeatEvictions = 0;
+
+function startHeartbeat() {
+  clearInterval(heartbeatInterval);
+  heartbeatInterval = null;
+  const intervalMs = config.get("heartbeat.intervalMs");
+  if (!intervalMs) return;
+  heartbeatInterval = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (ws.missedPongs >= config.get("heartbeat.maxMissed")) {
+        console.warn(`Evicting unresponsive ${peerRole(ws)}${ws.room ? ` in room ${ws.room.id}` : ""}: ${ws.remoteAddress}`);
+        heartbeatEvictions++;
+        ws.evicted = true;
+        ws.terminate();
+        return;
+      }
+      ws.missedPongs++;
+      try { ws.ping(); } catch (e) {}
+    });
+  }, intervalMs);
+}
+
+startHeartbeat();
+
+wss.on("connection", (ws, req) => {
+  console.log("WS connected");
+  ws.room = null;
+  ws.remoteAddress = clientIp(req);
+  ws.connectedAt = Date.now();
+  ws.userAgent = req.headers["user-agent"] || null;
+  ws.iceHost = iceHost(requestHost(req));
+  ws.hostKeyValid = isHostRequest(req);
+  ws.missedPongs = 0;
+  ws.on("pong", () => { ws.missedPongs = 0; });
 
   ws.on("message", (msg) => {
     let data;
@@ -178,122 +761,287 @@ wss.on("connection", (ws) => {
 
     // Host registration
     if (data.type === "host") {
-      const remoteRaw = ws._socket?.remoteAddress;
-      const remote = normalizeAddr(remoteRaw);
-      const localAddrs = getLocalAddresses();
+      if (!ws.hostKeyValid) {
+        console.warn("Blocked host registration without host key:", ws.remoteAddress);
+        audit.record("host_rejected", { ip: ws.remoteAddress, reason: "not_paired" });
+        sendTo(ws, { type: "hostRejected", reason: "not_paired" });
+        ws.close();
+        return;
+      }
 
-      if (!remote || !localAddrs.has(remote)) {
-        console.warn("Blocked remote host registration attempt:", remoteRaw);
+      const roomId = normalizeRoomId(data.room);
+      if (!roomId) {
+        sendTo(ws, { type: "roomInvalid", room: data.room });
         ws.close();
         return;
       }
 
-      hostSocket = ws;
-      console.log("Registered host");
-      if (clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-        clientSocket.send(JSON.stringify({ type: "requestOffer" }));
+      const room = getRoom(roomId, true);
+
+      // another display for this room: the same page coming back replaces its stale socket,
+      // a different one takes over or is turned away (host.duplicates)
+      const current = room.hostSocket;
+      if (current && current !== ws && isOpen(current)) {
+        const samePage = !!data.instance && current.hostInstance === data.instance;
+        if (!samePage && config.get("host.duplicates") === "reject") {
+          console.warn(`Rejected second host for room ${room.id} from ${ws.remoteAddress}, ${current.remoteAddress} is connected`);
+          audit.record("host_rejected", { room: room.id, ip: ws.remoteAddress, reason: "room_has_host" });
+          sendTo(ws, { type: "hostRejected", reason: "room_has_host" });
+          ws.close();
+          return;
+        }
+        if (!samePage) {
+          console.warn(`Host for room ${room.id} at ${current.remoteAddress} replaced by ${ws.remoteAddress}`);
+          audit.record("host_replaced", { room: room.id, ip: current.remoteAddress, by: ws.remoteAddress });
+          sendTo(current, { type: "hostReplaced" });
+        }
+        current.room = null;
+        current.close();
       }
+      ws.hostInstance = typeof data.instance === "string" ? data.instance : null;
+
+      // a reconnecting host page still has its peer connections, a fresh one starts over
+      const resumed = !!data.resume;
+      const kept = resumed && Array.isArray(data.presenters) ? data.presenters : [];
+      const keptViewers = resumed && Array.isArray(data.viewers) ? data.viewers : [];
+      clearTimeout(room.hostGraceTimer);
+      room.hostGraceTimer = null;
+      if (!resumed) recordings.finishRoom(room.id);
+      room.hostSocket = ws;
+      room.hostCaps = hostCapsFrom(data.caps);
+      ws.room = room;
+      console.log(`Registered host for room ${room.id}${resumed ? " (reconnected)" : ""}`);
+      audit.record("host_connected", { room: room.id, ip: ws.remoteAddress, userAgent: ws.userAgent, resumed });
+      sendQuality(room);
+      sendTo(ws, passcodePayload(room));
+      sendTo(ws, { type: "queueUpdated", room: room.id, waiting: room.queue.length });
+      room.pending.forEach(p => sendTo(ws, approvalRequest(p)));
+      kept.filter(id => !findPresenter(room, id)).forEach(presenterId => sendTo(ws, { type: "clientDisconnected", presenterId }));
+      room.presenters.forEach(p => sendTo(p, { type: "requestOffer", iceRestart: kept.includes(p.presenterId) }));
+      sendLayout(room);
+      sendViewerInfo(room);
+      keptViewers.filter(id => !room.viewers.has(id)).forEach(viewerId => sendTo(ws, { type: "viewerLeft", viewerId }));
+      room.viewers.forEach((v, viewerId) => sendTo(ws, { type: "viewerJoined", viewerId }));
+      return;
+    }
+
+    // Viewer registration: read-only, never takes the presenter slot
+    if (data.type === "viewer") {
+      const roomId = normalizeRoomId(data.room);
+      const room = roomId ? getRoom(roomId, false) : null;
+      if (ws.viewerId) return;
+
+      if (!admitAttempt(ws)) return;
+      if (!room) {
+        sendTo(ws, { type: "authFailed", reason: "unknown_room" });
+        return;
+      }
+      if (!config.get("viewer.enabled")) {
+        sendTo(ws, { type: "authFailed", reason: "viewers_disabled" });
+        return;
+      }
+      if ((data.passcode || "").toString() !== viewerCode(room)) {
+        rejectAttempt(ws, "viewer", room.id, "invalid_passcode");
+        return;
+      }
+      authLimits.succeed(ws.remoteAddress);
+      if (room.viewers.size >= config.get("viewer.maxViewers")) {
+        sendTo(ws, { type: "authFailed", reason: "viewers_full" });
+        return;
+      }
+
+      ws.viewerId = crypto.randomUUID();
+      ws.room = room;
+      room.viewers.set(ws.viewerId, ws);
+      console.log(`Registered viewer in room ${room.id} (${room.viewers.size} watching)`);
+      audit.record("viewer_connected", { room: room.id, ip: ws.remoteAddress, userAgent: ws.userAgent });
+      sendTo(ws, { type: "viewerAccepted", room: room.id, viewerId: ws.viewerId, streaming: room.presenters.some(isOpen), ice: ice.iceConfig(ws.iceHost, ws.remoteAddress) });
+      sendTo(room.hostSocket, { type: "viewerJoined", viewerId: ws.viewerId });
+      sendViewerInfo(room);
+      return;
+    }
+
+    // Presenter reconnecting with its session token: same slot, same presenterId
+    if (data.type === "resume") {
+      const roomId = normalizeRoomId(data.room);
+      const room = roomId ? getRoom(roomId, false) : null;
+      const old = room && typeof data.token === "string" && data.token
+        ? room.presenters.find(p => p.sessionToken === data.token)
+        : null;
+      if (!old || old === ws) {
+        sendTo(ws, { type: "resumeFailed" });
+        return;
+      }
+      resumePresenter(room, old, ws);
       return;
     }
 
     // Client registration requires valid passcode
     if (data.type === "client") {
       const provided = (data.passcode || "").toString();
-      console.log("Client registration attempt with passcode:", provided);
+      const roomId = normalizeRoomId(data.room);
+      const room = roomId ? getRoom(roomId, false) : null;
+      console.log(`Client registration attempt for room ${roomId} from ${ws.remoteAddress}`);
+
+      if (room && (room.presenters.includes(ws) || room.queue.includes(ws) || room.pending.includes(ws))) return;
+      if (!admitAttempt(ws)) return;
 
-      // enforce single-client
-      if (clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-        try { ws.send(JSON.stringify({ type: "streamConflict", reason: "another client active" })); } catch (e) {}
+      if (!room) {
+        sendTo(ws, { type: "authFailed", reason: "unknown_room" });
         return;
       }
 
-      // validate passcode
-      if (!currentPasscode || provided !== currentPasscode.code) {
-        try { ws.send(JSON.stringify({ type: "authFailed", reason: "invalid_passcode" })); } catch (e) {}
+      // a remembered device needs no passcode, otherwise validate it
+      const device = data.deviceToken && config.get("auth.rememberDevices") ? devices.verify(data.deviceToken, room.id) : null;
+      if (!device && (!room.currentPasscode || provided !== room.currentPasscode.code)) {
+        rejectAttempt(ws, "client", room.id, provided || !data.deviceToken ? "invalid_passcode" : "unknown_device");
         return;
       }
+      authLimits.succeed(ws.remoteAddress);
+      if (device) console.log(`Remembered device ${device.id} signed in to room ${room.id}`);
+      ws.signIn = device ? "device" : "passcode";
+      ws.rememberDevice = !device && !!data.remember && config.get("auth.rememberDevices");
+      ws.displayName = cleanDisplayName(data.name);
+      audit.record("client_connected", { room: room.id, ip: ws.remoteAddress, userAgent: ws.userAgent, name: ws.displayName || null, signIn: ws.signIn, deviceId: device ? device.id : null });
+
+      if (config.get("approval.required")) requestApproval(room, ws, !device);
+      else admitPresenter(room, ws, !device, false);
+      return;
+    }
 
-      // accept client and flag passcode used
-      clientSocket = ws;
-      currentPasscode.used = true;
-      broadcastPasscode();
+    // everything below is relayed inside the sender's room only
+    const room = ws.room;
 
-      try { ws.send(JSON.stringify({ type: "clientAccepted" })); } catch (e) {}
+    // admitted presenters and viewers renew their TURN credentials before they expire
+    if (data.type === "iceConfig") {
+      const admitted = room && (ws.viewerId ? room.viewers.get(ws.viewerId) === ws : room.presenters.includes(ws));
+      if (admitted) sendTo(ws, { type: "iceConfig", ...ice.iceConfig(ws.iceHost, ws.remoteAddress) });
+      return;
+    }
 
-      console.log("Registered client (passcode accepted)");
-      if (hostSocket && hostSocket.readyState === hostSocket.OPEN) {
-        hostSocket.send(JSON.stringify({ type: "requestOffer" }));
+    // viewers only ever answer the host's offers
+    if (room && ws.viewerId) {
+      if (room.viewers.get(ws.viewerId) === ws && (data.type === "answer" || data.type === "candidate")) {
+        sendTo(room.hostSocket, { ...data, to: "host", viewerId: ws.viewerId });
       }
       return;
     }
 
-    // Signaling relay
-    if (data.type === "offer" && hostSocket && hostSocket.readyState === hostSocket.OPEN) {
-      hostSocket.send(JSON.stringify(data));
+    const isHost = !!room && ws === room.hostSocket;
+    if (!room || (!isHost && !room.presenters.includes(ws))) return;
+
+    // host -> one viewer (offer, candidate, streamEnded)
+    if (data.to === "viewer") {
+      if (isHost) sendTo(room.viewers.get(data.viewerId), data);
+      return;
+    }
+
+    // host accepts or denies a client waiting for approval
+    if (data.type === "approvalResponse") {
+      const waiting = room.pending.find(p => p.approvalId === data.requestId);
+      if (isHost && waiting) settleApproval(room, waiting, data.accepted === true, "denied");
       return;
     }
-    if (data.type === "answer" && clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-      clientSocket.send(JSON.stringify(data));
+
+    // host switches layout, spotlight or muted presenters
+    if (data.type === "setLayout") {
+      if (isHost) updateLayout(room, data);
       return;
     }
-    if (data.type === "candidate") {
-      if (data.to === "host" && hostSocket && hostSocket.readyState === hostSocket.OPEN) {
-        hostSocket.send(JSON.stringify(data));
-      } else if (data.to === "client" && clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-        clientSocket.send(JSON.stringify(data));
+
+    // a presenter stopped sharing, the slot is free right away
+    if (data.type === "leave") {
+      if (!isHost) {
+        // detached first, the passcode regenerated on the way out is not for them
+        ws.room = null;
+        dropPresenter(room, ws, "left");
       }
       return;
     }
 
-    // forward stuff to 'to'
-    if (data.to === "host" && hostSocket && hostSocket.readyState === hostSocket.OPEN) {
-      hostSocket.send(JSON.stringify(data));
-    } else if (data.to === "client" && clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-      clientSocket.send(JSON.stringify(data));
+    // presenters report their sending side, the host the receiving side of each presenter
+    if (data.type === "stats") {
+      const stats = cleanStats(data.stats);
+      if (!stats) return;
+      if (!isHost) ws.stats = stats;
+      else if (findPresenter(room, data.presenterId)) room.hostStats.set(data.presenterId, stats);
+      return;
+    }
+
+    // a presenter passes their screen to the next in line; the host passes the spotlighted (or longest running) one
+    if (data.type === "handOff") {
+      if (!room.queue.some(isOpen)) {
+        sendTo(ws, { type: "handOffFailed", reason: "queue_empty" });
+        return;
+      }
+      const target = isHost
+        ? findPresenter(room, data.presenterId || room.layout.spotlight) || room.presenters[0]
+        : ws;
+      if (!target) return;
+      releasePresenter(room, target, "handedOff");
+      console.log(`Hand-off requested by ${isHost ? "host" : "presenter"} in room ${room.id}`);
+      promoteNext(room);
+      return;
+    }
+
+    // Signaling relay: the host tells its peer connections apart by presenterId
+    if (!isHost) {
+      if (data.type === "offer" || data.to === "host") sendTo(room.hostSocket, { ...data, presenterId: ws.presenterId });
+      return;
+    }
+    if (data.type === "answer" || data.to === "client") {
+      sendTo(findPresenter(room, data.presenterId), data);
     }
   });
 
   ws.on("close", () => {
     console.log("WS disconnected");
-    if (ws === hostSocket) {
-      hostSocket = null;
-      if (clientSocket && clientSocket.readyState === clientSocket.OPEN) {
-        clientSocket.send(JSON.stringify({ type: "hostDisconnected" }));
-      }
+    const room = ws.room;
+    if (!room) return;
+    if (ws.viewerId) {
+      removeViewer(room, ws);
+      return;
     }
-    if (ws === clientSocket) {
-      clientSocket = null;
-      if (hostSocket && hostSocket.readyState === hostSocket.OPEN) {
-        hostSocket.send(JSON.stringify({ type: "clientDisconnected" }));
-      }
-      // regenerate passcode when client leaves
-      generatePasscode();
+    if (ws === room.hostSocket) {
+      audit.record("host_disconnected", { room: room.id, ip: ws.remoteAddress });
+      room.hostSocket = null;
+      room.hostStats.clear();
+      room.presenters.forEach(p => sendTo(p, { type: "hostDisconnected" }));
+      // presenters wait for the display to come back, recordings and viewers only after the grace period
+      room.hostGraceTimer = setTimeout(() => hostGone(room), config.get("reconnect.graceMs"));
+    }
+    if (room.presenters.includes(ws)) {
+      // an evicted presenter is already known to be gone, its slot is not held for a reconnect
+      if (ws.evicted) dropPresenter(room, ws, "unresponsive");
+      else if (config.get("reconnect.graceMs") > 0) detachPresenter(room, ws);
+      else dropPresenter(room, ws, "disconnected"); // regenerate passcode when client leaves
+    }
+    if (room.queue.includes(ws)) {
+      room.queue = room.queue.filter(w => w !== ws);
+      broadcastQueue(room);
     }
+    settleApproval(room, ws, false, "left");
   });
 });
 
-// return local hostname
+// return local hostname, and the address for the QR code
 app.get("/hostname", (req, res) => {
-  res.send({ hostname: os.hostname() + ".local" });
+  res.send({ hostname: os.hostname() + ".local", url: publicUrl() });
 });
 
-// local-only passcode endpoint
-app.get("/passcode", (req, res) => {
+// passcode for the display, host key only
+app.get("/passcode", requireHost, (req, res) => {
   try {
-    const remoteRaw = req.socket && req.socket.remoteAddress ? req.socket.remoteAddress : null;
-    const remote = normalizeAddr(remoteRaw);
-    const localAddrs = getLocalAddresses();
+    const roomId = normalizeRoomId(req.query.room);
+    if (!roomId) return res.status(400).json({ error: "invalid_room" });
 
-    if (!remote || !localAddrs.has(remote)) {
-      console.warn(`Blocked /passcode request from non-local address: ${remoteRaw}`);
-      return res.status(403).json({ error: "forbidden" });
-    }
-
-    if (!currentPasscode) return res.json({ code: null });
+    const room = getRoom(roomId, true);
+    if (!room.currentPasscode) return res.json({ room: room.id, code: null });
     res.json({
-      code: currentPasscode.code,
-      expiresAt: currentPasscode.expiresAt,
-      used: currentPasscode.used
+      room: room.id,
+      code: room.currentPasscode.code,
+      expiresAt: room.currentPasscode.expiresAt,
+      used: room.currentPasscode.used
     });
   } catch (err) {
     console.error("Error handling /passcode:", err);
@@ -301,93 +1049,619 @@ app.get("/passcode", (req, res) => {
   }
 });
 
-// Rotate certs: generate, write files, and update running HTTPS server's credentials.
-// Note: httpsServer.setSecureContext is available on Node's TLS/HTTPS servers on modern Node versions.
-function rotateCertsNow() {
+/* ============================================================
+   ADMIN CONSOLE
+   /admin page + /admin/api JSON API, protected by a bearer token
+   (ADMIN_TOKEN env, or generated once into .admin-token)
+   ============================================================ */
+
+const ADMIN_TOKEN_PATH = path.join(__dirname, ".admin-token");
+
+function loadOrCreateAdminToken() {
+  if (process.env.ADMIN_TOKEN) return process.env.ADMIN_TOKEN;
   try {
-    const { key, cert } = generateSelfSignedCert();
-    fs.writeFileSync(KEY_PATH, key, { mode: 0o600 });
-    fs.writeFileSync(CERT_PATH, cert);
-    // setSecureContext accepts the same options as tls.createSecureContext
-    if (typeof httpsServer.setSecureContext === "function") {
-      httpsServer.setSecureContext({ key, cert });
-      console.log("Installed new TLS certs into running server");
-    } else {
-      console.warn("setSecureContext not available on this Node version; a server restart will be required to pick up new certs");
-    }
+    const existing = fs.readFileSync(ADMIN_TOKEN_PATH, "utf8").trim();
+    if (existing) return existing;
+  } catch (e) {}
+  const token = crypto.randomBytes(24).toString("base64url");
+  fs.writeFileSync(ADMIN_TOKEN_PATH, token + "\n", { mode: 0o600 });
+  console.log(`Generated admin token, see ${ADMIN_TOKEN_PATH}`);
+  return token;
+}
+
+const adminToken = loadOrCreateAdminToken();
+
+function requireAdmin(req, res, next) {
+  const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!secretMatches(m ? m[1].trim() : "", adminToken)) {
+    console.warn(`Rejected admin API request from: ${clientIp(req)}`);
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+
+function peerRole(ws) {
+  const room = ws.room;
+  if (!room) return "unregistered";
+  if (ws === room.hostSocket) return "host";
+  if (room.presenters.includes(ws)) return "client";
+  if (room.queue.includes(ws)) return "queued";
+  if (room.pending.includes(ws)) return "pending";
+  if (ws.viewerId) return "viewer";
+  return "unregistered";
+}
+
+function peerInfo(ws) {
+  if (!ws) return null;
+  return { ip: ws.remoteAddress || null, connectedAt: ws.connectedAt, open: isOpen(ws) };
+}
+
+function roomStatus(room) {
+  const p = room.currentPasscode;
+  return {
+    id: room.id,
+    host: peerInfo(room.hostSocket),
+    presenters: room.presenters.map(ws => ({ id: ws.presenterId, ...peerInfo(ws), stats: presenterStats(room, ws) })),
+    layout: { ...room.layout },
+    quality: qualityPolicy(room),
+    queue: room.queue.map(peerInfo),
+    pending: room.pending.map(ws => ({ ...peerInfo(ws), name: ws.displayName, device: describeDevice(ws.userAgent) })),
+    viewers: Array.from(room.viewers.values()).map(peerInfo),
+    viewerPasscode: room.viewerPasscode ? { ...room.viewerPasscode } : null,
+    passcode: p ? { code: p.code, createdAt: p.createdAt, expiresAt: p.expiresAt, used: p.used } : null
+  };
+}
+
+function serverStatus() {
+  const peers = [];
+  wss.clients.forEach(ws => {
+    peers.push({ ...peerInfo(ws), role: peerRole(ws), room: ws.room ? ws.room.id : null });
+  });
+  return {
+    pid: process.pid,
+    startedAt: STARTED_AT,
+    uptimeMs: Date.now() - STARTED_AT,
+    cert: certs.certInfo(),
+    config: config.all({ redact: true }),
+    rooms: Array.from(rooms.values()).map(roomStatus),
+    auth: { lockouts: authLimits.lockouts() },
+    peers
+  };
+}
+
+app.get("/admin", (req, res) => {
+  res.sendFile(path.join(__dirname, "private", "admin.html"));
+});
+
+const adminApi = express.Router();
+adminApi.use(express.json());
+adminApi.use(requireAdmin);
+// everything that changes something is audited, reads are not
+adminApi.use((req, res, next) => {
+  if (req.method !== "GET") audit.record("admin_action", { method: req.method, path: req.path, ip: clientIp(req) });
+  next();
+});
+
+adminApi.get("/status", (req, res) => {
+  res.json(serverStatus());
+});
+
+function adminRoom(req, res) {
+  const roomId = normalizeRoomId(req.params.room);
+  const room = roomId ? getRoom(roomId, false) : null;
+  if (!room) res.status(404).json({ error: "unknown_room" });
+  return room;
+}
+
+// { presenterId } kicks one presenter, without it all of them
+adminApi.post("/rooms/:room/kick", (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  if (!kickPresenter(room, req.body && req.body.presenterId)) return res.status(409).json({ error: "no_presenter" });
+  res.json({ ok: true });
+});
+
+// { layout, spotlight, muted }, fields left out stay as they are
+adminApi.post("/rooms/:room/layout", (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  const problem = updateLayout(room, req.body || {});
+  if (problem) return res.status(400).json({ error: "invalid_layout", message: problem });
+  res.json({ ok: true, layout: room.layout });
+});
+
+adminApi.post("/rooms/:room/passcode", (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  startPasscodeRotation(room);
+  res.json({ ok: true, passcode: roomStatus(room).passcode });
+});
+
+adminApi.post("/rooms/:room/viewer-passcode", (req, res) => {
+  const room = adminRoom(req, res);
+  if (!room) return;
+  // viewers already watching keep watching, the old code just stops working
+  generateViewerPasscode(room);
+  res.json({ ok: true, viewerPasscode: room.viewerPasscode });
+});
+
+adminApi.post("/certs/rotate", (req, res) => {
+  rotateCertsNow().then(result => {
+    if (!result.ok) return res.status(PROXY_MODE ? 409 : 500).json({ error: "rotation_failed", message: result.error });
+    res.json({ ok: true, cert: certs.certInfo() });
+  });
+});
+
+adminApi.get("/settings", (req, res) => {
+  res.json({ settings: config.all({ redact: true }), schema: config.SCHEMA });
+});
+
+// changes are validated and written to the config file
+adminApi.put("/settings", (req, res) => {
+  try {
+    const changed = config.set(req.body);
+    res.json({ ok: true, changed, settings: config.all({ redact: true }) });
   } catch (e) {
-    console.error("Failed to rotate certs:", e);
-  }
-}
-
-// Compute next occurrence of the 1st of the month at 00:00:00 local time
-function next1stAtMidnight() {
-  const now = new Date();
-  // candidate: 1st of current month at 00:00:00
-  let year = now.getFullYear();
-  let month = now.getMonth(); // 0-based
-  const candidate = new Date(year, month, 1, 0, 0, 0, 0);
-  // if candidate is already in the past or is now, pick next month
-  if (candidate.getTime() <= now.getTime()) {
-    month += 1;
-    if (month > 11) {
-      month = 0;
-      year += 1;
+    if (e.name !== "ConfigError") throw e;
+    res.status(400).json({ error: "invalid_settings", message: e.problems.join("; ") });
+  }
+});
+
+adminApi.get("/recordings", (req, res) => {
+  const list = recordings.list();
+  res.json({ recordings: list, totalBytes: list.reduce((sum, r) => sum + r.bytes, 0) });
+});
+
+adminApi.get("/recordings/:id", (req, res) => {
+  const rec = recordings.get(req.params.id);
+  if (!rec) return res.status(404).json({ error: "unknown_recording" });
+  res.download(rec.file, `untamed-${rec.meta.id}.webm`);
+});
+
+adminApi.delete("/recordings/:id", (req, res) => {
+  if (!recordings.remove(req.params.id)) return res.status(404).json({ error: "unknown_recording" });
+  res.json({ ok: true });
+});
+
+adminApi.delete("/lockouts/:ip", (req, res) => {
+  if (!authLimits.unlock(req.params.ip)) return res.status(404).json({ error: "unknown_lockout" });
+  console.log(`Lockout of ${req.params.ip} lifted from the admin console`);
+  res.json({ ok: true });
+});
+
+// finished presentations from the audit log, newest first; ?room=, ?since= (ms or ISO date), ?limit=
+function sendSessions(req, res) {
+  const since = /^\d+$/.test(req.query.since || "") ? Number(req.query.since) : Date.parse(req.query.since || "");
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const room = typeof req.query.room === "string" ? normalizeRoomId(req.query.room) : null;
+  if (req.query.room !== undefined && !room) return res.status(400).json({ error: "invalid_room" });
+  res.json({ sessions: audit.sessions({ room, since: since || null, limit }) });
+}
+adminApi.get("/sessions", sendSessions);
+
+// for pairing a display, see /host.html?key=
+adminApi.get("/host-key", (req, res) => {
+  res.json({ key: hostKey });
+});
+
+adminApi.get("/devices", (req, res) => {
+  res.json({ devices: devices.list() });
+});
+
+adminApi.delete("/devices/:id", (req, res) => {
+  if (!devices.revoke(req.params.id)) return res.status(404).json({ error: "unknown_device" });
+  console.log(`Remembered device ${req.params.id} revoked`);
+  res.json({ ok: true });
+});
+
+adminApi.get("/whiteboards", (req, res) => {
+  res.json({ whiteboards: whiteboards.list() });
+});
+
+adminApi.get("/whiteboards/:id/pages/:page", (req, res) => sendWhiteboardPage(req, res));
+adminApi.get("/whiteboards/:id/pdf", (req, res) => sendWhiteboardPdf(req, res));
+
+adminApi.delete("/whiteboards/:id", (req, res) => {
+  if (!whiteboards.remove(req.params.id)) return res.status(404).json({ error: "unknown_board" });
+  res.json({ ok: true });
+});
+
+app.use("/admin/api", adminApi);
+// session history also at the shorter path, same admin token
+app.get("/admin/sessions", requireAdmin, sendSessions);
+
+/* ============================================================
+   METRICS (metrics.enabled)
+   Prometheus text format: connection counts, rooms and the latest
+   connection statistics of every presenter, as seen from both ends
+   ============================================================ */
+
+const METRIC_ROLES = ["host", "client", "queued", "pending", "viewer", "unregistered"];
+
+function metricFamilies() {
+  const connections = {};
+  wss.clients.forEach(ws => {
+    const role = peerRole(ws);
+    connections[role] = (connections[role] || 0) + 1;
+  });
+  const roomList = Array.from(rooms.values());
+  const perRoom = (fn) => roomList.map(room => ({ labels: { room: room.id }, value: fn(room) }));
+
+  // one stream per presenter and reporting side
+  const streams = [];
+  roomList.forEach(room => room.presenters.forEach(ws => {
+    const both = presenterStats(room, ws);
+    ["presenter", "host"].forEach(side => {
+      if (both[side]) streams.push({ labels: { room: room.id, presenter: ws.presenterId, side }, stats: both[side] });
+    });
+  }));
+  const streamGauge = (name, help, key, scale) => ({
+    name, help, type: "gauge",
+    samples: streams.map(s => ({ labels: s.labels, value: s.stats[key] === null ? NaN : Number((s.stats[key] * (scale || 1)).toPrecision(12)) }))
+  });
+
+  return [
+    { name: "untamed_uptime_seconds", help: "Seconds since the server started.", type: "gauge", samples: [{ value: (Date.now() - STARTED_AT) / 1000 }] },
+    { name: "untamed_connections", help: "Open WebSocket connections by role.", type: "gauge", samples: METRIC_ROLES.map(role => ({ labels: { role }, value: connections[role] || 0 })) },
+    { name: "untamed_rooms", help: "Rooms on this server.", type: "gauge", samples: [{ value: rooms.size }] },
+    { name: "untamed_heartbeat_evictions_total", help: "Peers disconnected for not answering pings.", type: "counter", samples: [{ value: heartbeatEvictions }] },
+    { name: "untamed_room_host_connected", help: "1 while the room's host display is connected.", type: "gauge", samples: perRoom(room => (isOpen(room.hostSocket) ? 1 : 0)) },
+    { name: "untamed_room_presenters", help: "Clients presenting in the room.", type: "gauge", samples: perRoom(room => room.presenters.length) },
+    { name: "untamed_room_queue_length", help: "Clients waiting for a presenter slot.", type: "gauge", samples: perRoom(room => room.queue.length) },
+    { name: "untamed_room_pending_approvals", help: "Clients waiting for the display to accept them.", type: "gauge", samples: perRoom(room => room.pending.length) },
+    { name: "untamed_room_viewers", help: "Viewers watching the room.", type: "gauge", samples: perRoom(room => room.viewers.size) },
+    streamGauge("untamed_stream_bitrate_bits_per_second", "Video bitrate sent (side=presenter) or received (side=host).", "bitrateKbps", 1000),
+    streamGauge("untamed_stream_frames_per_second", "Video frame rate.", "fps"),
+    streamGauge("untamed_stream_frame_width_pixels", "Video frame width.", "width"),
+    streamGauge("untamed_stream_frame_height_pixels", "Video frame height.", "height"),
+    streamGauge("untamed_stream_packets_lost", "Video packets lost since the peer connection started.", "packetsLost"),
+    streamGauge("untamed_stream_packet_loss_ratio", "Share of video packets lost recently.", "lossPct", 0.01),
+    streamGauge("untamed_stream_jitter_seconds", "Video packet jitter.", "jitterMs", 0.001),
+    streamGauge("untamed_stream_round_trip_seconds", "Round trip time of the selected ICE candidate pair.", "rttMs", 0.001),
+    {
+      name: "untamed_stream_report_age_seconds", help: "Seconds since the statistics were reported.", type: "gauge",
+      samples: streams.map(s => ({ labels: s.labels, value: (Date.now() - s.stats.receivedAt) / 1000 }))
+    },
+    {
+      name: "untamed_stream_info", help: "Codec and ICE candidate types (host, srflx, prflx, relay) of a stream, always 1.", type: "gauge",
+      samples: streams.map(s => ({
+        labels: { ...s.labels, codec: s.stats.codec, local_candidate: s.stats.localCandidate, remote_candidate: s.stats.remoteCandidate },
+        value: 1
+      }))
     }
+  ];
+}
+
+app.get("/metrics", (req, res, next) => {
+  if (!config.get("metrics.enabled")) return res.status(404).end();
+  if (config.get("metrics.requireToken")) return requireAdmin(req, res, next);
+  next();
+}, (req, res) => {
+  res.set("Content-Type", metrics.CONTENT_TYPE);
+  res.send(metrics.render(metricFamilies()));
+});
+
+/* ============================================================
+   RECORDINGS (recording.enabled)
+   The host page records what it shows and uploads it here in chunks
+   ============================================================ */
+
+const RECORDING_ERROR_STATUS = { unknown_recording: 404, out_of_order: 409, finished: 409, too_large: 413 };
+
+function recordingError(res, e) {
+  if (!(e instanceof recordings.RecordingError)) throw e;
+  res.status(RECORDING_ERROR_STATUS[e.code] || 400).json({ error: e.code, message: e.message });
+}
+
+const recordingApi = express.Router();
+recordingApi.use(requireHost);
+
+recordingApi.post("/", express.json(), (req, res) => {
+  if (!config.get("recording.enabled")) return res.status(409).json({ error: "recording_disabled" });
+  const roomId = normalizeRoomId(req.body && req.body.room);
+  const room = roomId ? getRoom(roomId, false) : null;
+  if (!room) return res.status(404).json({ error: "unknown_room" });
+  const presenter = findPresenter(room, req.body.presenterId) || room.presenters[0];
+  const presenterIp = presenter ? presenter.remoteAddress : null;
+  res.json(recordings.create({ room: room.id, presenterIp, mimeType: req.body.mimeType }));
+});
+
+recordingApi.post("/:id/chunks", express.raw({ type: () => true, limit: "64mb" }), (req, res) => {
+  const seq = Number(req.query.seq);
+  if (!Number.isInteger(seq) || seq < 0) return res.status(400).json({ error: "invalid_seq" });
+  try {
+    res.json(recordings.append(req.params.id, seq, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)));
+  } catch (e) {
+    recordingError(res, e);
   }
-  return new Date(year, month, 1, 0, 0, 0, 0);
+});
+
+recordingApi.post("/:id/finish", (req, res) => {
+  try {
+    res.json(recordings.finish(req.params.id));
+  } catch (e) {
+    recordingError(res, e);
+  }
+});
+
+app.use("/recordings", recordingApi);
+
+/* ============================================================
+   WHITEBOARDS (whiteboard.enabled)
+   The host auto-saves its whiteboard here, exports come back as PNG/PDF
+   ============================================================ */
+
+const WHITEBOARD_ERROR_STATUS = { unknown_board: 404, invalid_page: 400, too_many_pages: 413, invalid_image: 400 };
+
+function whiteboardError(res, e) {
+  if (!(e instanceof whiteboards.WhiteboardError)) throw e;
+  res.status(WHITEBOARD_ERROR_STATUS[e.code] || 400).json({ error: e.code, message: e.message });
 }
 
-// monthly rotation
-function scheduleMonthlyRotation() {
-  const next = next1stAtMidnight();
-  const delay = next.getTime() - Date.now();
-  console.log(`Next cert rotation scheduled for ${next.toString()} (in ${Math.round(delay/1000)}s)`);
-  setTimeout(() => {
-    console.log("Running scheduled cert rotation (1st of month)");
-    rotateCertsNow();
-    // schedule next
-    scheduleMonthlyRotation();
-  }, delay);
+function sendWhiteboardPage(req, res) {
+  const file = whiteboards.pagePng(req.params.id, Number(req.params.page));
+  if (!file) return res.status(404).json({ error: "unknown_page" });
+  res.download(file, `whiteboard-${req.params.id}-page-${req.params.page}.png`);
 }
 
-// inspect the cert, this only works on node.js, if you are using a different runtime please use that runtimes API
-function certExpiresBefore(msFromNow) {
+function sendWhiteboardPdf(req, res) {
   try {
-    if (!fs.existsSync(CERT_PATH)) return true;
-    const pem = fs.readFileSync(CERT_PATH, "utf8");
-    if (typeof crypto.X509Certificate !== "function") return false;
-    const x = new crypto.X509Certificate(pem);
-    const validTo = new Date(x.validTo);
-    return validTo.getTime() < (Date.now() + msFromNow);
+    const pdf = whiteboards.pdf(req.params.id);
+    res.set("Content-Type", "application/pdf");
+    res.attachment(`whiteboard-${req.params.id}.pdf`);
+    res.send(pdf);
   } catch (e) {
-    console.warn("Could not inspect existing cert expiry:", e);
-    return true;
+    whiteboardError(res, e);
   }
 }
 
-// If the cert is missing or expiring in less than ~5 months, generate new
-const FIVE_MONTHS_MS = 1000 * 60 * 60 * 24 * 30 * 5;
-if (certExpiresBefore(FIVE_MONTHS_MS)) {
-  console.log("Existing cert missing or expiring soon — rotating now");
-  rotateCertsNow();
+// page images come as data: URLs
+function dataUrlBuffer(value) {
+  if (typeof value !== "string") return null;
+  const m = value.match(/^data:[^;,]+;base64,(.*)$/);
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+const whiteboardApi = express.Router();
+whiteboardApi.use(requireHost);
+
+whiteboardApi.post("/", express.json(), (req, res) => {
+  if (!config.get("whiteboard.enabled")) return res.status(409).json({ error: "whiteboard_disabled" });
+  const roomId = normalizeRoomId(req.body && req.body.room);
+  const room = roomId ? getRoom(roomId, false) : null;
+  if (!room) return res.status(404).json({ error: "unknown_room" });
+  res.json(whiteboards.create({ room: room.id }));
+});
+
+// { pages: [{ strokes, png, jpeg }] }
+whiteboardApi.put("/:id", express.json({ limit: "100mb" }), (req, res) => {
+  const pages = Array.isArray(req.body && req.body.pages) ? req.body.pages : null;
+  if (!pages) return res.status(400).json({ error: "invalid_page", message: "expected { pages: [...] }" });
+  try {
+    res.json(whiteboards.save(req.params.id, pages.map(page => ({
+      strokes: page && page.strokes,
+      png: dataUrlBuffer(page && page.png),
+      jpeg: dataUrlBuffer(page && page.jpeg)
+    }))));
+  } catch (e) {
+    whiteboardError(res, e);
+  }
+});
+
+whiteboardApi.get("/:id/pages/:page", sendWhiteboardPage);
+whiteboardApi.get("/:id/pdf", sendWhiteboardPdf);
+
+app.use("/whiteboards", whiteboardApi);
+
+recordings.recoverInterrupted();
+whiteboards.enforceRetention();
+const retentionInterval = setInterval(() => {
+  recordings.enforceRetention();
+  whiteboards.enforceRetention();
+}, 60 * 60 * 1000);
+
+// Rotate certs: issue a new one for certs.mode and hot-swap it into the HTTPS server.
+// On failure the current cert keeps being served
+function rotateCertsNow() {
+  if (PROXY_MODE) return Promise.resolve({ ok: false, error: "certificates are managed by the reverse proxy (proxy.enabled)" });
+  return certs.rotate().then(
+    () => ({ ok: true }),
+    (e) => {
+      console.error("Failed to rotate certs:", e);
+      audit.record("cert_rotation_failed", { mode: config.get("certs.mode"), error: e.message });
+      return { ok: false, error: e.message };
+    }
+  );
+}
+
+// scheduled, manual and address change rotations alike
+certs.onRotate(() => {
+  const info = certs.certInfo();
+  audit.record("cert_rotated", {
+    mode: config.get("certs.mode"),
+    validTo: info ? new Date(info.validTo).toISOString() : null,
+    fingerprint256: info ? info.fingerprint256 : null
+  });
+});
+
+if (!PROXY_MODE) {
+  // the rotation day of every month rotates the cert (ACME: renewal checks)
+  certs.scheduleRotation();
+  // new network, new addresses: the cert has to follow
+  certs.watchAddresses();
+}
+
+/* ============================================================
+   CONFIG CHANGES (admin console / reload)
+   ============================================================ */
+
+function hostConfig() {
+  return {
+    theme: config.get("host.theme"),
+    watchdogPollMs: config.get("host.watchdogPollMs"),
+    stallThresholdMs: config.get("host.stallThresholdMs"),
+    recording: config.get("recording.enabled"),
+    recordingChunkMs: config.get("recording.chunkMs"),
+    whiteboard: config.get("whiteboard.enabled"),
+    whiteboardAutosaveMs: config.get("whiteboard.autosaveMs"),
+    whiteboardMaxPages: config.get("whiteboard.maxPages"),
+    statsReportMs: config.get("stats.reportIntervalMs"),
+    reconnectGraceMs: config.get("reconnect.graceMs")
+  };
+}
+
+// settings the paired host page needs (theme, watchdog, recording, whiteboard, stats), pushed again on change
+app.get("/host-config", requireHost, (req, res) => {
+  res.json(hostConfig());
+});
+
+config.onChange((changed) => {
+  console.log("Config changed:", changed.join(", "));
+  audit.record("config_changed", { keys: changed });
+  if (changed.includes("passcode.expiryMs")) rooms.forEach(room => startPasscodeRotation(room));
+  // fewer slots only applies to the next presenters, nobody is cut off
+  if (changed.includes("presenters.max")) rooms.forEach(room => promoteNext(room));
+  // nobody has to be accepted anymore, let the waiting clients in
+  if (changed.includes("approval.required") && !config.get("approval.required")) {
+    rooms.forEach(room => room.pending.slice().forEach(ws => settleApproval(room, ws, true)));
+  }
+  if (changed.some(k => k.startsWith("quality."))) rooms.forEach(room => sendQuality(room));
+  if (changed.includes("stats.reportIntervalMs")) rooms.forEach(room => sendStatsConfig(room));
+  if (changed.includes("heartbeat.intervalMs")) startHeartbeat();
+  if (changed.includes("presenters.layout")) rooms.forEach(room => updateLayout(room, { layout: config.get("presenters.layout") }));
+  if (changed.some(k => k.startsWith("viewer."))) {
+    rooms.forEach(room => {
+      if (!config.get("viewer.enabled")) room.viewers.forEach(v => removeViewer(room, v, "viewersDisabled"));
+      sendViewerInfo(room);
+    });
+  }
+  if (!PROXY_MODE && (changed.includes("certs.rotationDay") || changed.includes("certs.mode"))) certs.scheduleRotation();
+  if (!PROXY_MODE && changed.includes("certs.watchIntervalMs")) certs.watchAddresses();
+  if (changed.includes("mdns.enabled")) {
+    if (config.get("mdns.enabled")) mdns.start({ port: publicPort() });
+    else mdns.stop();
+  } else if (changed.includes("mdns.name")) {
+    mdns.announce();
+  }
+  // settings that only matter to the mode in use
+  const certKeys = {
+    "self-signed": ["certs.altNames"],
+    "local-ca": ["certs.altNames"],
+    "import": ["certs.importCert", "certs.importKey", "certs.importChain"],
+    "acme": Object.keys(config.SCHEMA).filter(k => k.startsWith("certs.acme."))
+  }[config.get("certs.mode")];
+  if (!PROXY_MODE && changed.some(k => k === "certs.mode" || certKeys.includes(k))) {
+    console.log("Certificate source changed, rotating certs now");
+    rotateCertsNow();
+  }
+  if (changed.some(k => k.startsWith("host.") || k.startsWith("recording.") || k.startsWith("whiteboard.") || k.startsWith("stats.") || k.startsWith("reconnect."))) {
+    const payload = { type: "hostConfig", ...hostConfig() };
+    rooms.forEach(room => sendTo(room.hostSocket, payload));
+  }
+  const needRestart = changed.filter(k => config.SCHEMA[k].restart);
+  if (needRestart.length) console.warn(`Restart required to apply: ${needRestart.join(", ")}`);
+});
+
+function reloadConfig() {
+  try {
+    const changed = config.reload();
+    console.log(`Config reloaded from ${config.getConfigPath()} (${changed.length} changed)`);
+    return { ok: true, changed };
+  } catch (e) {
+    console.error(`Config reload failed, keeping current config. ${e.message}`);
+    return { ok: false, error: e.message };
+  }
 }
 
-// 1st of every month rotates the cert (hopefully)
-scheduleMonthlyRotation();
+if (PROXY_MODE) {
+  const listenHost = config.get("proxy.listenHost");
+  const listenPort = config.get("proxy.listenPort");
+  webServer.listen(listenPort, listenHost, () => {
+    console.log(`HTTP/WS upstream for the reverse proxy running on ${listenHost}:${listenPort}, public URL ${publicUrl()}`);
+    if (config.get("mdns.enabled")) mdns.start({ port: publicPort() });
+  });
+} else {
+  webServer.listen(HTTPS_PORT, () => {
+    console.log(`HTTPS/WSS running on ${publicUrl()}`);
+    if (config.get("mdns.enabled")) mdns.start({ port: publicPort() });
+  });
+}
 
-const HTTPS_PORT = process.env.HTTPS_PORT || 443;
-httpsServer.listen(HTTPS_PORT, () => console.log(`HTTPS/WSS running on https://${os.hostname()}.local:${HTTPS_PORT}`));
+if (config.get("turn.enabled")) ice.start();
 
-// HTTP -> HTTPS redirect
-const HTTP_PORT = process.env.HTTP_PORT || 80;
-http.createServer((req, res) => {
+// HTTP -> HTTPS redirect, the reverse proxy does that itself in proxy mode
+const HTTP_PORT = config.get("server.httpPort");
+const redirectServer = PROXY_MODE ? null : http.createServer((req, res) => {
+  // ACME HTTP-01 challenges (certs.mode "acme") have to be answered over plain HTTP
+  const keyAuthorization = req.method === "GET" ? acme.challengeResponse(req.url.split("?")[0]) : null;
+  if (keyAuthorization) {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    return res.end(keyAuthorization);
+  }
+  // the CA has to be reachable before the device trusts our HTTPS cert
+  if (req.method === "GET" && req.url.split("?")[0] === "/ca.crt") {
+    const pem = certs.caCertificatePem();
+    if (pem) {
+      res.writeHead(200, { "Content-Type": "application/x-x509-ca-cert", "Content-Disposition": "attachment; filename=\"untamed-ca.crt\"" });
+      return res.end(pem);
+    }
+  }
+  // keep the name the device used, with the HTTPS port unless server.publicUrl says otherwise
   const hostHeader = req.headers.host ? req.headers.host.replace(/:\d+$/, "") : os.hostname() + ".local";
-  const location = `https://${hostHeader}${req.url}`;
+  const base = config.get("server.publicUrl") ? publicUrl() : `https://${hostHeader}${HTTPS_PORT === 443 ? "" : `:${HTTPS_PORT}`}`;
+  const location = `${base}${req.url}`;
   res.writeHead(301, { "Location": location });
   res.end();
 }).listen(HTTP_PORT, () => console.log(`HTTP -> HTTPS redirect running on port ${HTTP_PORT}`));
 
+/* ============================================================
+   SHUTDOWN
+   graceful: tell peers, stop listening, give connections a moment
+   ============================================================ */
+
+const SHUTDOWN_GRACE_MS = 5000;
+let shuttingDown = false;
+let controlServer = null;
+
+function shutdown(graceful) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  audit.record("server_stopped", { graceful: !!graceful });
+  // presentations still running end here
+  rooms.forEach(room => room.presenters.slice().forEach(ws => recordSession(room, ws, "shutdown")));
+
+  if (!graceful) {
+    console.log("Exiting...");
+    process.exit(0);
+  }
+
+  console.log("Graceful shutdown: notifying peers and closing connections");
+  setTimeout(() => process.exit(0), SHUTDOWN_GRACE_MS).unref();
+
+  rooms.forEach(room => clearInterval(room.passcodeInterval));
+  certs.stopRotation();
+  certs.stopWatching();
+  mdns.stop();
+  ice.stop();
+  clearInterval(retentionInterval);
+  clearInterval(heartbeatInterval);
+
+  wss.clients.forEach(ws => {
+    sendTo(ws, { type: "serverShutdown" });
+    try { ws.close(1001, "server shutting down"); } catch (e) {}
+  });
+
+  if (controlServer) controlServer.close();
+  if (redirectServer) redirectServer.close();
+  webServer.close(() => {
+    console.log("Shutdown complete");
+    process.exit(0);
+  });
+  if (typeof webServer.closeIdleConnections === "function") webServer.closeIdleConnections();
+}
+
+process.on("SIGTERM", () => shutdown(true));
+
 //regen cert if something goes horribly wrong
 if (process.stdin && process.stdin.setEncoding) {
   try {
@@ -401,64 +1675,84 @@ if (process.stdin && process.stdin.setEncoding) {
         rotateCertsNow();
         return;
       }
+      else if (cmd === "reload") {
+        reloadConfig();
+        return;
+      }
       else if (cmd === "exit") {
          console.log("Manual exit requested!");
-         console.log("Exiting...");
-         process.exit(0);
+         shutdown(false);
       }
       console.log(`Unknown command.`);
     });
   } catch (e) {
     console.warn("Failed to initialize stdin command handler:", e);
   }
+}
 
-  /* ============================================================
+/* ============================================================
    GLOBAL CONTROL SOCKET (Windows + Linux)
-   Allows: untamed exit / untamed regen
+   Line-delimited JSON requests/responses, see control.js.
+   Used by the untamed CLI (status, kick-client, shutdown, ...)
    ============================================================ */
 
-const CONTROL_PATH = process.platform === "win32"
-  ? "\\\\.\\pipe\\untamed-control"
-  : "/tmp/untamed-control.sock";
-
-// Clean stale socket on Unix systems
-if (process.platform !== "win32") {
-  try {
-    if (fs.existsSync(CONTROL_PATH)) {
-      fs.unlinkSync(CONTROL_PATH);
-    }
-  } catch (e) {}
+function controlRoom(args) {
+  const roomId = normalizeRoomId(args.room);
+  if (!roomId) throw new ControlError(ERROR_CODES.INVALID_ARGS, `invalid room "${args.room}"`);
+  const room = getRoom(roomId, false);
+  if (!room) throw new ControlError(ERROR_CODES.NOT_FOUND, `unknown room "${roomId}"`);
+  return room;
 }
 
-const controlServer = net.createServer((socket) => {
-  socket.setEncoding("utf8");
+const controlCommands = {
+  "status": () => serverStatus(),
 
-  socket.on("data", (data) => {
-    const cmd = String(data || "").trim().toLowerCase();
+  "kick-client": (args) => {
+    const room = controlRoom(args);
+    if (!kickPresenter(room, args.presenterId)) throw new ControlError(ERROR_CODES.CONFLICT, `no presenter in room "${room.id}"`);
+    return { room: room.id };
+  },
 
-    if (cmd === "exit") {
-      console.log("Control command: exit");
-      socket.end("bye\n");
-      process.exit(0);
-      return;
-    }
+  "rotate-passcode": (args) => {
+    const room = controlRoom(args);
+    startPasscodeRotation(room);
+    return { room: room.id, passcode: roomStatus(room).passcode };
+  },
 
-    if (cmd === "regen") {
-      console.log("Control command: regen");
-      rotateCertsNow();
-      socket.end("ok\n");
-      return;
+  // persisted like any other config change; null goes back to the theme by month
+  "set-theme": (args) => {
+    try {
+      config.set({ "host.theme": args.theme === undefined ? null : args.theme });
+    } catch (e) {
+      if (e.name !== "ConfigError") throw e;
+      throw new ControlError(ERROR_CODES.INVALID_ARGS, e.problems.join("; "));
     }
+    return { theme: config.get("host.theme") };
+  },
 
-    socket.end("unknown\n");
-  });
-});
+  "reload-config": () => {
+    const result = reloadConfig();
+    if (!result.ok) throw new ControlError(ERROR_CODES.INVALID_CONFIG, result.error);
+    return { changed: result.changed };
+  },
+
+  "rotate-certs": async () => {
+    const result = await rotateCertsNow();
+    if (!result.ok) throw new ControlError(ERROR_CODES.INTERNAL, result.error);
+    return { cert: certs.certInfo() };
+  },
 
-controlServer.listen(CONTROL_PATH, () => {
-  if (process.platform !== "win32") {
-    try { fs.chmodSync(CONTROL_PATH, 0o600); } catch {}
+  // the reply goes out before the server starts going down
+  "shutdown": (args, ctx) => {
+    const graceful = !!args.graceful;
+    ctx.onSent(() => shutdown(graceful));
+    return { graceful };
+  },
+};
+
+controlServer = createControlServer(config.get("server.controlSocket"), controlCommands, {
+  // status is a read, like GET requests on the admin API
+  onCommand: ({ command, args, ok, error }) => {
+    if (command !== "status") audit.record("control_command", { command, args, ok, error });
   }
-  console.log("Control socket listening");
 });
-
-}
@@ -16,21 +16,42 @@
  * You should have received a copy of the GNU Affero General Public License
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
-const net = require("net");
 const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
+const config = require("./config");
+const control = require("./control");
+const audit = require("./audit");
 
 const PROJECT_ROOT = __dirname;
 const SERVER_PATH = path.join(PROJECT_ROOT, "server.js");
 const PID_FILE = path.join(PROJECT_ROOT, ".untamed.pid");
 
-const CONTROL_PATH = process.platform === "win32"
-  ? "\\\\.\\pipe\\untamed-control"
-  : "/tmp/untamed-control.sock";
+const START_CHECK_MS = 1500;
+const STOP_TIMEOUT_MS = 10000;
+const LOG_POLL_MS = 500;
 
 const cmd = (process.argv[2] || "").toLowerCase();
 
+// --config <file> / --<key>=<value> after the command are passed on to the server,
+// anything else is an argument of the command itself
+let serverArgs = [];
+let cmdArgs = [];
+try {
+  const loaded = config.load({ argv: process.argv.slice(3) });
+  serverArgs = loaded.args;
+  cmdArgs = loaded.rest;
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const CONTROL_PATH = config.get("server.controlSocket");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 function isRunning(pid) {
   try {
     process.kill(pid, 0);
@@ -54,88 +75,420 @@ function removePid() {
   if (fs.existsSync(PID_FILE)) fs.unlinkSync(PID_FILE);
 }
 
-function sendControl(command) {
-  const client = net.createConnection(CONTROL_PATH);
-
-  client.on("connect", () => {
-    client.write(command);
-  });
-
-  client.on("data", (data) => {
-    process.stdout.write(data.toString());
-    client.end();
-  });
+function runningPid() {
+  const pid = readPid();
+  return pid && isRunning(pid) ? pid : null;
+}
 
-  client.on("error", () => {
-    console.error("Untamed is not running.");
-    process.exit(1);
-  });
+// one request/response over the control socket, rejects with a control.ControlError
+function sendControl(command, args, opts) {
+  return control.request(CONTROL_PATH, command, args, opts);
 }
 
-//cmds (WIP!!!)
-if (cmd === "start") {
+function fmtDuration(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  if (m) return `${m}m ${s % 60}s`;
+  return `${s}s`;
+}
 
-  const existingPid = readPid();
+async function waitForExit(pid, timeoutMs) {
+  const until = Date.now() + timeoutMs;
+  while (isRunning(pid)) {
+    if (Date.now() > until) return false;
+    await sleep(200);
+  }
+  return true;
+}
 
-  if (existingPid && isRunning(existingPid)) {
+//cmds
+async function start() {
+  const existingPid = runningPid();
+  if (existingPid) {
     console.log("Untamed already running (PID " + existingPid + ")");
-    process.exit(0);
+    return 0;
   }
 
-  const child = spawn(process.execPath, [SERVER_PATH], {
+  const child = spawn(process.execPath, [SERVER_PATH, ...serverArgs], {
     detached: true,
     stdio: "ignore"
   });
 
   child.unref();
-
   writePid(child.pid);
 
+  // catch servers that die right away (port in use, bad cert...)
+  await sleep(START_CHECK_MS);
+  if (!isRunning(child.pid)) {
+    removePid();
+    console.error("Untamed failed to start, see: untamed logs");
+    return 1;
+  }
+
   console.log("Untamed started (PID " + child.pid + ")");
-  process.exit(0);
+  return 0;
 }
 
-if (cmd === "exit" || cmd === "stop") {
+// foreground: output goes to this terminal (and the log file), Ctrl-C stops it
+function run() {
+  const existingPid = runningPid();
+  if (existingPid) {
+    console.error("Untamed already running (PID " + existingPid + ")");
+    return 1;
+  }
+
+  const child = spawn(process.execPath, [SERVER_PATH, ...serverArgs], { stdio: "inherit" });
+  writePid(child.pid);
 
-  sendControl("exit");
+  return new Promise((resolve) => {
+    const forward = (signal) => {
+      try { child.kill(signal); } catch {}
+    };
+    process.on("SIGINT", forward);
+    process.on("SIGTERM", forward);
+    child.on("exit", (code) => {
+      removePid();
+      resolve(code === null ? 0 : code);
+    });
+  });
+}
 
+// untamed stop [--graceful]
+async function stop() {
   const pid = readPid();
-  if (pid) removePid();
+  const graceful = cmdArgs.includes("--graceful");
+
+  try {
+    await sendControl("shutdown", { graceful });
+    console.log(graceful ? "Untamed shutting down gracefully" : "Untamed shutting down");
+  } catch (e) {
+    if (e.code !== control.ERROR_CODES.NOT_RUNNING && e.code !== control.ERROR_CODES.TIMEOUT) throw e;
+    if (!pid || !isRunning(pid)) {
+      removePid();
+      console.error(e.message);
+      return 1;
+    }
+    // running but not listening on our control socket (other config?)
+    console.log("Control socket unavailable, sending SIGTERM to PID " + pid);
+    try { process.kill(pid, "SIGTERM"); } catch {}
+  }
+
+  if (pid && !(await waitForExit(pid, STOP_TIMEOUT_MS))) {
+    console.error("Untamed (PID " + pid + ") did not exit in time.");
+    return 1;
+  }
 
-  process.exit(0);
+  removePid();
+  return 0;
 }
 
-if (cmd === "regen") {
-  sendControl("regen");
-  process.exit(0);
+async function restart() {
+  if (runningPid()) {
+    const code = await stop();
+    if (code !== 0) return code;
+  }
+  return start();
 }
 
-if (cmd === "status") {
+async function regen() {
+  // an ACME order can take a while
+  const { cert } = await sendControl("rotate-certs", {}, { timeoutMs: 3 * 60 * 1000 });
+  console.log(cert ? `Certificate rotated, expires ${new Date(cert.validTo).toLocaleString()}` : "Certificate rotated");
+  return 0;
+}
 
-  const pid = readPid();
+async function reload() {
+  const { changed } = await sendControl("reload-config");
+  console.log(changed.length ? `Config reloaded, changed: ${changed.join(", ")}` : "Config reloaded, nothing changed");
+  return 0;
+}
 
-  if (!pid) {
-    console.log("Untamed not running.");
-    process.exit(0);
+// untamed kick-client [room]
+async function kickClient() {
+  const { room } = await sendControl("kick-client", { room: cmdArgs[0] });
+  console.log(`Presenter kicked from room "${room}"`);
+  return 0;
+}
+
+// untamed rotate-passcode [room]
+async function rotatePasscode() {
+  const { room, passcode } = await sendControl("rotate-passcode", { room: cmdArgs[0] });
+  console.log(`New passcode for room "${room}": ${passcode.code}`);
+  return 0;
+}
+
+// untamed set-theme <default|fall|winter|auto>
+async function setTheme() {
+  const name = cmdArgs[0];
+  if (!name) {
+    console.error("Usage: untamed set-theme <default|fall|winter|auto>");
+    return 1;
   }
+  const { theme } = await sendControl("set-theme", { theme: name === "auto" ? null : name });
+  console.log(`Host theme set to ${theme || "auto (by month)"}`);
+  return 0;
+}
 
-  if (isRunning(pid)) {
-    console.log("Untamed running (PID " + pid + ")");
+function printStatus(s) {
+  console.log(`Untamed running (PID ${s.pid}), up ${fmtDuration(s.uptimeMs)}`);
+  if (s.cert) {
+    console.log(`Certificate: ${s.cert.subject}, expires ${new Date(s.cert.validTo).toLocaleString()} (in ${fmtDuration(s.cert.validTo - Date.now())})`);
   } else {
+    console.log("Certificate: unknown");
+  }
+
+  s.rooms.forEach(room => {
+    const peer = (p) => p ? `connected from ${p.ip || "unknown"}` : "none";
+    console.log(`Room "${room.id}"`);
+    console.log(`  host:       ${peer(room.host)}`);
+    if (!room.presenters.length) console.log("  presenter:  none");
+    room.presenters.forEach(p => console.log(`  presenter:  ${peer(p)}${p.open ? "" : " (reconnecting)"}${room.layout.spotlight === p.id ? " (spotlight)" : ""}`));
+    if (room.presenters.length > 1) console.log(`  layout:     ${room.layout.layout}`);
+    console.log(`  waiting:    ${room.queue.length}`);
+    if (room.pending.length) console.log(`  approval:   ${room.pending.length} waiting for the display`);
+    const p = room.passcode;
+    if (p) {
+      const state = p.used ? "used" : `expires in ${fmtDuration(p.expiresAt - Date.now())}`;
+      console.log(`  passcode:   ${p.code}, age ${fmtDuration(Date.now() - p.createdAt)}, ${state}`);
+    } else {
+      console.log("  passcode:   none");
+    }
+  });
+}
+
+async function status() {
+  const json = cmdArgs.includes("--json");
+  const pid = runningPid();
+
+  let live = null;
+  try {
+    live = await sendControl("status");
+  } catch (e) {}
+
+  if (json) {
+    console.log(JSON.stringify(live ? { running: true, ...live } : { running: !!pid, pid }, null, 2));
+    return 0;
+  }
+
+  if (live) {
+    printStatus(live);
+    return 0;
+  }
+
+  if (pid) {
+    console.log("Untamed running (PID " + pid + ") but not answering on the control socket");
+  } else if (readPid()) {
     console.log("Untamed not running (stale PID file)");
     removePid();
+  } else {
+    console.log("Untamed not running.");
+  }
+  return 0;
+}
+
+function printTail(file, lines) {
+  const text = fs.readFileSync(file, "utf8");
+  const all = text.split("\n");
+  if (all[all.length - 1] === "") all.pop();
+  const tail = all.slice(-lines);
+  if (tail.length) process.stdout.write(tail.join("\n") + "\n");
+  return Buffer.byteLength(text);
+}
+
+// untamed logs [-n <lines>] [-f]
+async function logs() {
+  const file = config.logFilePath();
+  const follow = cmdArgs.includes("-f") || cmdArgs.includes("--follow");
+  const nIdx = cmdArgs.indexOf("-n");
+  const lines = nIdx !== -1 ? parseInt(cmdArgs[nIdx + 1], 10) : 50;
+  if (!Number.isInteger(lines) || lines < 0) {
+    console.error("-n needs a number of lines");
+    return 1;
+  }
+
+  let pos = 0;
+  let ino = null;
+  if (fs.existsSync(file)) {
+    pos = printTail(file, lines);
+    ino = fs.statSync(file).ino;
+  } else if (!follow) {
+    console.error("No log file at " + file);
+    return 1;
+  }
+  if (!follow) return 0;
+
+  // poll, and start over from the top when the file was rotated
+  return new Promise(() => {
+    setInterval(() => {
+      let st;
+      try { st = fs.statSync(file); } catch { return; }
+      if (st.ino !== ino || st.size < pos) {
+        ino = st.ino;
+        pos = 0;
+      }
+      if (st.size <= pos) return;
+      const fd = fs.openSync(file, "r");
+      const buf = Buffer.alloc(st.size - pos);
+      fs.readSync(fd, buf, 0, buf.length, pos);
+      fs.closeSync(fd);
+      pos = st.size;
+      process.stdout.write(buf);
+    }, LOG_POLL_MS);
+  });
+}
+
+// 7d, 12h, 30m or anything Date.parse understands -> ms timestamp
+function parseSince(text) {
+  const m = /^(\d+)([dhm])$/.exec(text || "");
+  if (m) return Date.now() - Number(m[1]) * { d: 86400000, h: 3600000, m: 60000 }[m[2]];
+  const t = Date.parse(text || "");
+  return isNaN(t) ? null : t;
+}
+
+function fmtStamp(iso) {
+  return iso ? iso.replace("T", " ").slice(0, 19) : "-";
+}
+
+// untamed history [room] [-n N] [--since <7d|12h|30m|date>] [--events] [--json]
+async function history() {
+  const showEvents = cmdArgs.includes("--events");
+  const json = cmdArgs.includes("--json");
+  const nIdx = cmdArgs.indexOf("-n");
+  const sIdx = cmdArgs.indexOf("--since");
+  const limit = nIdx !== -1 ? parseInt(cmdArgs[nIdx + 1], 10) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error("-n needs a number of entries");
+    return 1;
+  }
+  const since = sIdx !== -1 ? parseSince(cmdArgs[sIdx + 1]) : null;
+  if (sIdx !== -1 && !since) {
+    console.error("--since needs a time like 7d, 12h, 30m or a date");
+    return 1;
+  }
+  const values = new Set([nIdx, sIdx].filter(i => i !== -1).map(i => i + 1));
+  const room = cmdArgs.find((arg, i) => !arg.startsWith("-") && !values.has(i)) || null;
+
+  if (!fs.existsSync(audit.filePath())) {
+    console.error("No audit log at " + audit.filePath());
+    return 1;
+  }
+
+  // every event oldest first, like untamed logs
+  if (showEvents) {
+    audit.readEvents({ room, since, limit }).forEach(e => {
+      if (json) return console.log(JSON.stringify(e));
+      const { ts, event, ...fields } = e;
+      const details = Object.entries(fields)
+        .filter(([, v]) => v !== null && v !== undefined)
+        .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+      console.log(`${fmtStamp(ts)}  ${event.padEnd(18)} ${details.join(" ")}`);
+    });
+    return 0;
   }
 
-  process.exit(0);
+  const sessions = audit.sessions({ room, since, limit });
+  if (json) {
+    sessions.forEach(s => console.log(JSON.stringify(s)));
+    return 0;
+  }
+  if (!sessions.length) {
+    console.log("No presentations recorded" + (room ? ` for room "${room}"` : "") + ".");
+    return 0;
+  }
+  console.log(`${"Started".padEnd(20)} ${"Room".padEnd(12)} ${"Presenter".padEnd(16)} ${"Device".padEnd(22)} ${"Duration".padEnd(9)} Ended`);
+  sessions.forEach(s => {
+    const who = s.name ? `${s.ip} (${s.name})` : s.ip || "unknown";
+    console.log(`${fmtStamp(s.startedAt).padEnd(20)} ${s.room.padEnd(12)} ${who.padEnd(16)} ${(s.device || "-").padEnd(22)} ${fmtDuration(s.durationMs).padEnd(9)} ${s.reason || "-"}`);
+  });
+  return 0;
 }
 
-console.log(`
+// untamed config get [key] / untamed config set <key> <value>
+async function configCommand() {
+  const [action, key, ...valueParts] = cmdArgs;
+
+  if (action === "get") {
+    const values = config.all({ redact: true });
+    if (key) {
+      config.get(key);
+      console.log(JSON.stringify(values[key]));
+      return 0;
+    }
+    Object.keys(values).forEach(k => console.log(`${k} = ${JSON.stringify(values[k])}`));
+    return 0;
+  }
+
+  if (action === "set" && key && valueParts.length) {
+    config.set({ [key]: valueParts.join(" ") }, { coerceStrings: true });
+    console.log(`${key} = ${JSON.stringify(config.all({ redact: true })[key])} (saved to ${config.getConfigPath()})`);
+
+    if (config.SCHEMA[key].restart) {
+      if (runningPid()) console.log("Restart required to apply: untamed restart");
+    } else if (runningPid()) {
+      await reload();
+    }
+    return 0;
+  }
+
+  console.error("Usage: untamed config get [key] | untamed config set <key> <value>");
+  return 1;
+}
+
+function usage() {
+  console.log(`
 Untamed CLI
 
 Commands:
-  untamed start
-  untamed exit
-  untamed regen
-  untamed status
+  untamed start                 start the server in the background
+  untamed run                   run the server in the foreground
+  untamed exit | stop [--graceful]
+                                stop the server (graceful: notify peers first)
+  untamed restart               stop and start again
+  untamed regen                 rotate the TLS certificate now
+  untamed reload                re-read the config file
+  untamed status [--json]       live server status
+  untamed kick-client [room]    end the current presentation
+  untamed rotate-passcode [room]
+                                issue a new passcode now
+  untamed set-theme <theme>     default, fall, winter or auto
+  untamed logs [-n N] [-f]      show (and follow) the server log
+  untamed history [room] [-n N] [--since 7d] [--events] [--json]
+                                past presentations, or all audit events
+  untamed config get [key]      show config values
+  untamed config set <k> <v>    change a config value
+
+Options (start, run, restart):
+  --config <file>        config file (default: untamed.config.json)
+  --<key>=<value>        override a config value, e.g. --server.httpsPort=8443
 `);
-process.exit(0);
+  return 0;
+}
+
+const COMMANDS = {
+  start,
+  run,
+  exit: stop,
+  stop,
+  restart,
+  regen,
+  reload,
+  status,
+  "kick-client": kickClient,
+  "rotate-passcode": rotatePasscode,
+  "set-theme": setTheme,
+  logs,
+  history,
+  config: configCommand,
+};
+
+Promise.resolve()
+  .then(() => (COMMANDS[cmd] || usage)())
+  .then((code) => process.exit(code || 0))
+  .catch((e) => {
+    console.error(e instanceof control.ControlError ? `Error (${e.code}): ${e.message}` : e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,248 @@
+/**
+ * UnTamed
+ * Copyright (C) 2025  vestron.wtf <oss@vestron.wtf>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, version 3 of the License only.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+
+/*
+  Whiteboards drawn on the host display while nobody presents. The host auto-saves the
+  board it is drawing on: the strokes of every page for reference, plus each page rendered
+  as PNG (exported as is) and JPEG (embedded into the PDF export). A board lives in its own
+  directory: board.json with { id, room, createdAt, updatedAt, pageCount, pages }, page-<n>.png
+  and page-<n>.jpg, n counting from 1.
+*/
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,80}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WhiteboardError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "WhiteboardError";
+    this.code = code; // unknown_board, invalid_page, too_many_pages, invalid_image
+  }
+}
+
+function dir() {
+  return path.resolve(__dirname, config.get("whiteboard.dir"));
+}
+
+function boardDir(id) {
+  return path.join(dir(), id);
+}
+
+function metaPath(id) {
+  return path.join(boardDir(id), "board.json");
+}
+
+function pagePath(id, n, ext) {
+  return path.join(boardDir(id), `page-${n}.${ext}`);
+}
+
+function readMeta(id) {
+  if (!ID_RE.test(String(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(id), "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeMeta(meta) {
+  fs.writeFileSync(metaPath(meta.id), JSON.stringify(meta));
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+}
+
+function publicMeta(meta) {
+  const { pages, ...rest } = meta;
+  return rest;
+}
+
+function create({ room }) {
+  const now = new Date();
+  const id = `${stamp(now)}-${room}-${crypto.randomBytes(3).toString("hex")}`;
+  fs.mkdirSync(boardDir(id), { recursive: true });
+  const meta = { id, room, createdAt: now.getTime(), updatedAt: now.getTime(), pageCount: 0, pages: [] };
+  writeMeta(meta);
+  console.log(`Whiteboard started: ${id}`);
+  return publicMeta(meta);
+}
+
+// JPEG dimensions and colour components from its SOF marker, the PDF needs them
+function jpegSize(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0..SOF15, except DHT (c4), JPG (c8) and DAC (cc)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7), components: buf[i + 9] };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// pages: [{ strokes, png, jpeg }], images only for pages that changed since the last save
+function save(id, pages) {
+  const meta = readMeta(id);
+  if (!meta) throw new WhiteboardError("unknown_board", `no whiteboard ${id}`);
+  if (!Array.isArray(pages) || !pages.length) throw new WhiteboardError("invalid_page", "a board has at least one page");
+  if (pages.length > config.get("whiteboard.maxPages")) {
+    throw new WhiteboardError("too_many_pages", `a board has at most ${config.get("whiteboard.maxPages")} pages`);
+  }
+
+  pages.forEach((page, i) => {
+    if (page.png && !page.png.subarray(0, 8).equals(PNG_SIGNATURE)) throw new WhiteboardError("invalid_image", `page ${i + 1}: not a PNG`);
+    if (page.jpeg && !jpegSize(page.jpeg)) throw new WhiteboardError("invalid_image", `page ${i + 1}: not a JPEG`);
+    // a page past the stored ones has no image to keep
+    if (i >= meta.pageCount && (!page.png || !page.jpeg)) throw new WhiteboardError("invalid_page", `page ${i + 1}: image missing`);
+  });
+  pages.forEach((page, i) => {
+    if (page.png) fs.writeFileSync(pagePath(id, i + 1, "png"), page.png);
+    if (page.jpeg) fs.writeFileSync(pagePath(id, i + 1, "jpg"), page.jpeg);
+  });
+  // pages deleted on the host
+  for (let n = pages.length + 1; n <= meta.pageCount; n++) {
+    for (const ext of ["png", "jpg"]) {
+      try { fs.unlinkSync(pagePath(id, n, ext)); } catch (e) {}
+    }
+  }
+
+  meta.pages = pages.map(page => ({ strokes: Array.isArray(page.strokes) ? page.strokes : [] }));
+  meta.pageCount = pages.length;
+  meta.updatedAt = Date.now();
+  writeMeta(meta);
+  return publicMeta(meta);
+}
+
+// newest first
+function list() {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir());
+  } catch (e) {
+    return [];
+  }
+  return names
+    .map(readMeta)
+    .filter(Boolean)
+    .map(publicMeta)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function get(id) {
+  const meta = readMeta(id);
+  return meta ? publicMeta(meta) : null;
+}
+
+// path of a page's PNG, or null
+function pagePng(id, n) {
+  const meta = readMeta(id);
+  if (!meta || !Number.isInteger(n) || n < 1 || n > meta.pageCount) return null;
+  const p = pagePath(id, n, "png");
+  return fs.existsSync(p) ? p : null;
+}
+
+// Minimal PDF: one page per board page, each showing its JPEG at 96 dpi
+function pdf(id) {
+  const meta = readMeta(id);
+  if (!meta) throw new WhiteboardError("unknown_board", `no whiteboard ${id}`);
+  const images = [];
+  for (let n = 1; n <= meta.pageCount; n++) {
+    let data;
+    try { data = fs.readFileSync(pagePath(id, n, "jpg")); } catch (e) { continue; }
+    const size = jpegSize(data);
+    if (size) images.push({ data, ...size });
+  }
+  const colorSpaces = { 1: "/DeviceGray", 3: "/DeviceRGB", 4: "/DeviceCMYK" };
+  if (!images.length) throw new WhiteboardError("invalid_page", `whiteboard ${id} has no saved pages`);
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const put = (part) => {
+    const buf = Buffer.isBuffer(part) ? part : Buffer.from(part, "latin1");
+    chunks.push(buf);
+    length += buf.length;
+  };
+  const object = (num, ...parts) => {
+    offsets[num] = length;
+    put(`${num} 0 obj\n`);
+    parts.forEach(put);
+    put("\nendobj\n");
+  };
+
+  // 1: catalog, 2: page tree, then page, content and image per page
+  const pageNum = (i) => 3 + i * 3;
+  put("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${images.map((img, i) => `${pageNum(i)} 0 R`).join(" ")}] /Count ${images.length} >>`);
+  images.forEach((img, i) => {
+    const w = +(img.width * 0.75).toFixed(2);
+    const h = +(img.height * 0.75).toFixed(2);
+    const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+    object(pageNum(i), `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${pageNum(i) + 2} 0 R >> >> /Contents ${pageNum(i) + 1} 0 R >>`);
+    object(pageNum(i) + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    object(pageNum(i) + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${colorSpaces[img.components] || "/DeviceRGB"} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>\nstream\n`,
+      img.data,
+      "\nendstream");
+  });
+
+  const count = pageNum(images.length);
+  const xref = length;
+  put(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let num = 1; num < count; num++) put(`${String(offsets[num]).padStart(10, "0")} 00000 n \n`);
+  put(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return Buffer.concat(chunks);
+}
+
+function remove(id) {
+  if (!readMeta(id)) return false;
+  fs.rmSync(boardDir(id), { recursive: true, force: true });
+  console.log(`Whiteboard deleted: ${id}`);
+  return true;
+}
+
+// boards not touched for whiteboard.maxAgeDays are deleted (0 keeps them)
+function enforceRetention() {
+  const maxAgeDays = config.get("whiteboard.maxAgeDays");
+  if (!maxAgeDays) return;
+  const cutoff = Date.now() - maxAgeDays * DAY_MS;
+  list().filter(b => b.updatedAt < cutoff).forEach(b => remove(b.id));
+}
+
+module.exports = {
+  WhiteboardError,
+  create,
+  save,
+  list,
+  get,
+  pagePng,
+  pdf,
+  remove,
+  enforceRetention,
+};